@@ -0,0 +1,61 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Fingerprint the parts of the input that decide which searches a run performs
+ * A saved state is only resumed by a run with the same fingerprint, so query indexes always refer to the same searches
+ * @param {Array<Object>} queries - Query specs from normalizeQueries()
+ * @param {Object} settings - Run-wide settings that change the searches (mode, search parameters, geo-grid, ...)
+ * @returns {string} - SHA-256 hex digest
+ */
+export function createInputFingerprint(queries, settings) {
+    const searches = queries.map(spec => [spec.query, spec.location, spec.language, spec.trackedDomains, spec.maxResults]);
+    return crypto.createHash('sha256').update(JSON.stringify({ searches, settings })).digest('hex');
+}
+
+/**
+ * Run state checkpoint on disk, so standalone runs can resume where they stopped
+ * The file is replaced atomically, so a run killed while saving leaves the previous checkpoint intact
+ */
+export class Checkpoint {
+    /**
+     * @param {string} filePath - Path to the checkpoint JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Load the saved state
+     * @returns {Object|null} - Saved state, or null when there is no readable checkpoint
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`Ignoring unreadable checkpoint ${this.filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save the state
+     * @param {Object} state - Run state
+     */
+    save(state) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Remove the checkpoint once the run has finished
+     */
+    clear() {
+        fs.rmSync(this.filePath, { force: true });
+    }
+}
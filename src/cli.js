@@ -0,0 +1,390 @@
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { INPUT_SCHEMA } from './input-schema.js';
+import { RunSummary } from './run-summary.js';
+
+/**
+ * Command line interface: subcommands, typed flags, --config file merge and SERP_* environment fallbacks
+ * Precedence: command line flags, then the config file, then environment variables
+ */
+
+/**
+ * Subcommands and their usage
+ */
+export const COMMANDS = {
+    run: { usage: 'run [options]', description: 'Run the searches (default command)' },
+    estimate: { usage: 'estimate [options]', description: 'Print the worst-case credit cost of a run without calling the API' },
+    report: { usage: 'report [summary.json] [-o <dir>]', description: 'Print the totals and rank tables of a run summary (default: the latest in the output directory)' },
+    diff: { usage: 'diff [old.json] [new.json] [-o <dir>]', description: 'Compare the rank tables of two run summaries (default: the two latest in the output directory)' },
+    help: { usage: 'help [command]', description: 'Show help for a command' }
+};
+
+/**
+ * Command line options
+ * - key: input field the option sets; its type, choices and default come from the input schema
+ * - type: string, integer, number or boolean, for options without a schema field (integers and numbers are checked and converted)
+ * - choices: allowed values the schema cannot express
+ * - negate: boolean flag that sets the input field to false
+ * - replaces: singular input field the option takes the place of (e.g. locations replaces location)
+ * Options for list fields are repeatable; the values are collected into an array
+ */
+export const CLI_OPTIONS = [
+    { flag: 'query', short: 'q', key: 'queries', value: 'text', group: 'Queries', description: 'Search query (repeatable)' },
+    { flag: 'queries-file', key: 'queriesFile', value: 'file', group: 'Queries', description: 'CSV or TXT file with one query per row or line' },
+    { flag: 'domain', short: 'd', key: 'domains', replaces: 'domain', value: 'domain', group: 'Queries', description: 'Domain or target to track (repeatable for competitors)' },
+    { flag: 'location', short: 'l', key: 'locations', replaces: 'location', value: 'location', group: 'Queries', description: 'Country or city-level location, repeatable for a market matrix' },
+    { flag: 'language', key: 'languages', replaces: 'language', value: 'code', group: 'Queries', description: 'Google language code, repeatable for a market matrix' },
+    { flag: 'max-results', short: 'r', key: 'maxResults', value: 'n', group: 'Queries', description: 'Maximum results checked per search, 0 = unlimited' },
+
+    { flag: 'provider', short: 'p', key: 'provider', value: 'name', group: 'Provider', description: 'API provider' },
+    { flag: 'provider-key', short: 'k', key: 'providerKeys', replaces: 'providerKey', value: 'key', group: 'Provider', description: 'API key of the provider, repeatable for a key pool (also read from PROVIDER_KEYS or PROVIDER_KEY)' },
+    { flag: 'fallback-provider', key: 'fallbackProviders', value: 'name', group: 'Provider', description: 'Provider to fail over to, key from <PROVIDER>_KEY (repeatable)' },
+    { flag: 'mode', short: 'm', key: 'mode', value: 'mode', group: 'Provider', description: 'Search mode' },
+    { flag: 'results-per-page', key: 'resultsPerPage', value: 'n', group: 'Provider', description: 'Search results per API call, a multiple of 10 up to 100' },
+
+    { flag: 'time-range', key: 'timeRange', value: 'range', group: 'Search parameters', description: 'Only results from this period' },
+    { flag: 'no-autocorrect', key: 'autocorrect', negate: true, group: 'Search parameters', description: 'Search the exact keyword without spelling correction' },
+    { flag: 'safe-search', key: 'safeSearch', group: 'Search parameters', description: 'Filter explicit results' },
+    { flag: 'site', key: 'sites', value: 'site', group: 'Search parameters', description: 'Only search this site (repeatable)' },
+    { flag: 'exclude-site', key: 'excludeSites', value: 'site', group: 'Search parameters', description: 'Leave out results from this site (repeatable)' },
+    { flag: 'exclude-term', key: 'excludeTerms', value: 'term', group: 'Search parameters', description: 'Leave out results containing this word or phrase (repeatable)' },
+
+    { flag: 'concurrency', short: 'c', key: 'concurrency', value: 'n', group: 'Rate limits and credits', description: 'Searches processed in parallel' },
+    { flag: 'requests-per-minute', key: 'requestsPerMinute', value: 'n', group: 'Rate limits and credits', description: 'Request rate shared by all searches, 0 = unlimited (default: the provider\'s limit)' },
+    { flag: 'max-credits', key: 'maxCredits', value: 'n', group: 'Rate limits and credits', description: 'Credit budget for the run, 0 = no budget' },
+    { flag: 'dry-run', key: 'dryRun', group: 'Rate limits and credits', description: 'Print the credit estimate and stop (same as the estimate command)' },
+
+    { flag: 'cache', key: 'cacheMode', value: 'mode', group: 'Cache and replay', description: 'Response cache mode' },
+    { flag: 'cache-dir', key: 'cacheDir', value: 'dir', group: 'Cache and replay', description: 'Response cache directory (default: <output>/cache)' },
+    { flag: 'cache-ttl-hours', key: 'cacheTtlHours', value: 'hours', group: 'Cache and replay', description: 'Hours before a cached response expires, 0 = never' },
+    { flag: 'replay-mode', key: 'replayMode', value: 'mode', group: 'Cache and replay', description: 'Replay provider mode' },
+    { flag: 'fixtures-dir', key: 'fixturesDir', value: 'dir', group: 'Cache and replay', description: 'Replay provider fixtures directory (default: ./fixtures)' },
+
+    { flag: 'match-strategy', key: 'matchStrategy', value: 'strategy', group: 'Domain tracking', description: 'How tracked domains match result URLs' },
+    { flag: 'find-all-matches', key: 'findAllMatches', group: 'Domain tracking', description: 'Scan the full depth and report every ranking URL' },
+    { flag: 'history-file', key: 'historyFile', value: 'file', group: 'Domain tracking', description: 'Rank history JSONL file (default: <output>/rank-history.jsonl)' },
+    { flag: 'grid-center', key: 'gridCenter', value: 'lat,lng', group: 'Domain tracking', description: 'Geo-grid center (maps mode)' },
+    { flag: 'grid-radius', key: 'gridRadiusMeters', value: 'meters', group: 'Domain tracking', description: 'Geo-grid radius' },
+    { flag: 'grid-size', key: 'gridSize', value: 'n', group: 'Domain tracking', description: 'Geo-grid points per side' },
+    { flag: 'grid-zoom', key: 'gridZoom', value: 'zoom', group: 'Domain tracking', description: 'Maps zoom level at each grid point' },
+
+    { flag: 'output', short: 'o', key: 'outputDir', value: 'dir', group: 'Output', description: 'Output directory' },
+    { flag: 'format', short: 'f', key: 'outputFormats', value: 'format', group: 'Output', description: 'Output format, repeatable' }
+].map(withSchemaField);
+
+/**
+ * Parse the command line into a command and the run input
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - { command, positionals, input }
+ * @throws {Error} - On unknown commands or options, missing values, and values of the wrong type or not in the choices
+ */
+export function parseCommandLine(argv, env = process.env) {
+    const { values, positionals } = parseFlags(argv);
+
+    const [first, ...rest] = positionals;
+    const command = first ?? 'run';
+    if (!Object.hasOwn(COMMANDS, command)) {
+        throw new Error(`Unknown command "${command}". Available commands: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    if (values.help) {
+        return { command: 'help', positionals: first ? [command] : [], input: {} };
+    }
+    if ((command === 'run' || command === 'estimate') && rest.length > 0) {
+        throw new Error(`Unexpected argument "${rest[0]}". Use --query to pass queries.`);
+    }
+    if (command === 'help' && rest.length > 1) {
+        throw new Error(`Unexpected argument "${rest[1]}". Pass one command to show help for.`);
+    }
+
+    const fromEnvironment = readEnvironment(env);
+    const fromConfig = readConfigFile(values.config ?? env.SERP_CONFIG);
+    // The environment only fills fields the config file leaves unset, also under their singular name
+    for (const option of CLI_OPTIONS) {
+        if (option.replaces && Object.hasOwn(fromConfig, option.replaces)) {
+            delete fromEnvironment[option.key];
+        }
+    }
+    const fromFlags = readFlags(values);
+    const input = { ...fromEnvironment, ...fromConfig, ...fromFlags };
+    // Flags also take the place of the singular field in the config file (e.g. --domain over "domain")
+    for (const option of CLI_OPTIONS) {
+        if (option.replaces && Object.hasOwn(fromFlags, option.key)) {
+            delete input[option.replaces];
+        }
+    }
+    if (command === 'estimate') {
+        input.dryRun = true;
+    }
+
+    return { command, positionals: rest, input };
+}
+
+/**
+ * Generate the help text
+ * @param {string} [command] - Command to show help for
+ * @returns {string} - Help text
+ * @throws {Error} - On an unknown command
+ */
+export function formatHelp(command) {
+    const script = 'node src/main.js';
+    if (command && !Object.hasOwn(COMMANDS, command)) {
+        throw new Error(`Unknown command "${command}". Available commands: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    if (command && command !== 'run' && command !== 'estimate') {
+        const { usage, description } = COMMANDS[command];
+        return `Usage: ${script} ${usage}\n\n${description}`;
+    }
+
+    const lines = [
+        `Usage: ${script} [command] [options]`,
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(10)}${description}`),
+        '',
+        'Options can also come from a JSON config file (--config <file>, default: ./config.json if it exists) and from',
+        'SERP_<OPTION> environment variables (e.g. SERP_MAX_RESULTS=100, lists comma-separated); flags win over the',
+        'config file, which wins over the environment.'
+    ];
+
+    const rows = CLI_OPTIONS.map(option => [option.group, formatFlag(option), formatDescription(option)]);
+    rows.push(['Other', '    --config <file>', 'JSON config file with input fields; flags override it']);
+    rows.push(['Other', '-h, --help', 'Show this help']);
+    const width = Math.max(...rows.map(([, flag]) => flag.length)) + 2;
+
+    let group = null;
+    for (const [rowGroup, flag, description] of rows) {
+        if (rowGroup !== group) {
+            group = rowGroup;
+            lines.push('', `${group}:`);
+        }
+        lines.push(`  ${flag.padEnd(width)}${description}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Print the totals and rank tables of a run summary
+ * @param {Array<string>} positionals - Optional summary file
+ * @param {Object} input - Parsed input (outputDir is searched when no file is given)
+ */
+export function runReportCommand(positionals, input) {
+    if (positionals.length > 1) {
+        throw new Error('Pass one run summary file, or none to report the latest run.');
+    }
+
+    const [filePath] = positionals.length > 0 ? positionals : RunSummary.findLatest(input.outputDir || './output', 1);
+    if (!filePath) {
+        throw new Error(`No run summary found in ${input.outputDir || './output'}. Pass a run_summary_*.json file.`);
+    }
+
+    const { summary, runSummary } = RunSummary.load(filePath);
+    console.log(`Run ${summary.runId} (${summary.startTime} - ${summary.endTime})`);
+    console.log(`Searches: ${summary.completedSearches ?? summary.searches} of ${summary.searches} done, ${summary.totalResults} results`);
+    if (summary.credits) {
+        console.log(`Credits: ${summary.credits.used} used in ${summary.credits.requests} requests${summary.credits.maxCredits ? ` (budget ${summary.credits.maxCredits})` : ''}`);
+    }
+    if (summary.stoppedBy) {
+        console.log(`Stopped by ${summary.stoppedBy}`);
+    }
+
+    const rankTables = runSummary.formatRankTables();
+    console.log(rankTables ? `\n${rankTables}` : '\nNo tracked domains in this run.');
+}
+
+/**
+ * Print the rank changes between two run summaries
+ * @param {Array<string>} positionals - Optional old and new summary files
+ * @param {Object} input - Parsed input (outputDir is searched when no files are given)
+ */
+export function runDiffCommand(positionals, input) {
+    if (positionals.length === 1 || positionals.length > 2) {
+        throw new Error('Pass two run summary files (old and new), or none to compare the two latest runs.');
+    }
+
+    const filePaths = positionals.length === 2 ? positionals : RunSummary.findLatest(input.outputDir || './output', 2);
+    if (filePaths.length < 2) {
+        throw new Error(`Need two run summaries to compare, found ${filePaths.length} in ${input.outputDir || './output'}.`);
+    }
+
+    const previous = RunSummary.load(filePaths[0]);
+    const current = RunSummary.load(filePaths[1]);
+    console.log(`Comparing run ${previous.summary.runId} with run ${current.summary.runId}\n`);
+
+    const entries = current.runSummary.diff(previous.runSummary);
+    console.log(entries.length > 0 ? RunSummary.formatDiff(entries) : 'No tracked domains in these runs.');
+}
+
+/**
+ * Complete an option with the type, choices and default of its input schema field
+ * List fields become repeatable options taking strings
+ * @param {Object} option - Option definition
+ * @returns {Object} - Option with type, multiple, choices and defaultValue set
+ */
+function withSchemaField(option) {
+    const property = INPUT_SCHEMA.properties[option.key];
+    if (!property) return option;
+
+    const isList = property.type === 'array';
+    return {
+        ...option,
+        type: isList ? 'string' : property.type,
+        multiple: isList,
+        choices: option.choices ?? (isList ? property.items?.enum : property.enum),
+        defaultValue: INPUT_SCHEMA.properties[option.replaces ?? option.key].default
+    };
+}
+
+/**
+ * Parse the raw command line with the flag types of CLI_OPTIONS
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { values, positionals } from parseArgs()
+ * @throws {Error} - On unknown options and missing values
+ */
+function parseFlags(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            options: {
+                ...Object.fromEntries(CLI_OPTIONS.map(option => [option.flag, {
+                    type: option.type === 'boolean' ? 'boolean' : 'string',
+                    ...(option.short ? { short: option.short } : {}),
+                    ...(option.multiple ? { multiple: true } : {})
+                }])),
+                config: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            },
+            allowPositionals: true,
+            strict: true
+        });
+    } catch (error) {
+        // Keep the first sentence of Node's message, e.g. "Unknown option '--bogus'."
+        throw new Error(`${error.message.split('. ')[0].replace(/\.$/, '')}.`);
+    }
+}
+
+/**
+ * Convert parsed flags to input fields
+ * @param {Object} values - Values from parseArgs()
+ * @returns {Object} - Input fields set on the command line
+ */
+function readFlags(values) {
+    const input = {};
+    for (const option of CLI_OPTIONS) {
+        if (values[option.flag] === undefined) continue;
+        const rawValues = option.multiple ? values[option.flag] : [values[option.flag]];
+        const converted = rawValues.map(value => convertValue(option, value, `--${option.flag}`));
+        input[option.key] = option.multiple ? converted : converted[0];
+    }
+    return input;
+}
+
+/**
+ * Read SERP_<OPTION> environment variables, e.g. SERP_MAX_RESULTS or SERP_LOCATION=Germany,France
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Input fields set in the environment
+ */
+function readEnvironment(env) {
+    const input = {};
+    for (const option of CLI_OPTIONS) {
+        const name = `SERP_${option.flag.toUpperCase().replace(/-/g, '_')}`;
+        const text = env[name];
+        if (text === undefined || text === '') continue;
+
+        if (option.type === 'boolean') {
+            input[option.key] = convertBoolean(option, text, name);
+            continue;
+        }
+        const rawValues = option.multiple ? text.split(',').map(value => value.trim()).filter(Boolean) : [text];
+        const converted = rawValues.map(value => convertValue(option, value, name));
+        input[option.key] = option.multiple ? converted : converted[0];
+    }
+    return input;
+}
+
+/**
+ * Read a JSON config file with input fields
+ * @param {string} [configPath] - Config file path (default: ./config.json when it exists)
+ * @returns {Object} - Input fields from the file
+ */
+function readConfigFile(configPath) {
+    const filePath = configPath || './config.json';
+    if (!fs.existsSync(filePath)) {
+        if (configPath) {
+            throw new Error(`Config file ${configPath} not found.`);
+        }
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Check and convert an option value
+ * @param {Object} option - Option from CLI_OPTIONS
+ * @param {string|boolean} value - Raw value
+ * @param {string} source - Flag or environment variable, for error messages
+ * @returns {*} - Converted value
+ */
+function convertValue(option, value, source) {
+    if (option.type === 'boolean') {
+        return option.negate ? !value : value;
+    }
+    if (option.type === 'integer' && !/^-?\d+$/.test(value.trim())) {
+        throw new Error(`Invalid value for ${source}: "${value}" is not a whole number.`);
+    }
+    if (option.type === 'number' && (value.trim() === '' || !Number.isFinite(Number(value)))) {
+        throw new Error(`Invalid value for ${source}: "${value}" is not a number.`);
+    }
+    if (option.choices && !option.choices.includes(value)) {
+        throw new Error(`Invalid value for ${source}: "${value}". Choose one of: ${option.choices.join(', ')}`);
+    }
+    return option.type === 'string' ? value : Number(value);
+}
+
+/**
+ * Convert a boolean environment variable
+ * @param {Object} option - Option from CLI_OPTIONS
+ * @param {string} text - Variable value
+ * @param {string} name - Variable name, for error messages
+ * @returns {boolean} - Input field value
+ */
+function convertBoolean(option, text, name) {
+    const normalized = text.trim().toLowerCase();
+    if (!['true', 'false', '1', '0', 'yes', 'no'].includes(normalized)) {
+        throw new Error(`Invalid value for ${name}: "${text}". Use true or false.`);
+    }
+    return convertValue(option, ['true', '1', 'yes'].includes(normalized), name);
+}
+
+/**
+ * Format the flag column of the help text
+ * @param {Object} option - Option from CLI_OPTIONS
+ * @returns {string} - e.g. "-r, --max-results <n>"
+ */
+function formatFlag(option) {
+    const short = option.short ? `-${option.short}, ` : '    ';
+    const value = option.value ? ` <${option.value}>` : '';
+    return `${short}--${option.flag}${value}`;
+}
+
+/**
+ * Format the description column of the help text
+ * @param {Object} option - Option from CLI_OPTIONS
+ * @returns {string} - Description with the schema default and the choices
+ */
+function formatDescription(option) {
+    let { description } = option;
+    if (option.defaultValue !== undefined && option.type !== 'boolean') {
+        description += ` (default: ${[].concat(option.defaultValue).join(', ')})`;
+    }
+    if (option.choices) {
+        description += `; one of: ${option.choices.join(', ')}`;
+    }
+    return description;
+}
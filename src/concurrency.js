@@ -0,0 +1,82 @@
+/**
+ * Concurrency helpers: a shared token-bucket rate limiter and a fixed-size worker pool
+ */
+
+/**
+ * Token-bucket rate limiter shared by all concurrent queries
+ * Tokens refill continuously at `requestsPerMinute / 60` per second, up to `burst` tokens.
+ * Waiters are served in call order so no query starves.
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {number|null} options.requestsPerMinute - Sustained request rate (null or 0 = unlimited)
+     * @param {number} [options.burst] - Maximum tokens available at once (default: one second of requests)
+     */
+    constructor({ requestsPerMinute, burst }) {
+        this.requestsPerMinute = requestsPerMinute || null;
+        this.tokensPerMs = this.requestsPerMinute ? this.requestsPerMinute / 60000 : null;
+        this.capacity = burst ?? Math.max(1, Math.floor((this.requestsPerMinute || 0) / 60));
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Wait until a request may be sent
+     * @returns {Promise<void>} - Resolves when a token has been taken
+     */
+    acquire() {
+        if (!this.tokensPerMs) return Promise.resolve();
+
+        const next = this.queue.then(() => this.take());
+        this.queue = next.catch(() => {});
+        return next;
+    }
+
+    /**
+     * Take one token, waiting for a refill if the bucket is empty
+     */
+    async take() {
+        this.refill();
+        if (this.tokens < 1) {
+            const waitMs = Math.ceil((1 - this.tokens) / this.tokensPerMs);
+            await new Promise((resolve) => {
+                setTimeout(resolve, waitMs);
+            });
+            this.refill();
+        }
+        this.tokens -= 1;
+    }
+
+    /**
+     * Add the tokens accumulated since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) * this.tokensPerMs));
+        this.lastRefill = now;
+    }
+}
+
+/**
+ * Run a worker for every item with at most `concurrency` workers in flight
+ * Items are started in order; they may finish out of order.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<void>} - Resolves when every item has been processed
+ */
+export async function runPool(items, concurrency, worker) {
+    let nextIndex = 0;
+    const runnerCount = Math.max(1, Math.min(concurrency, items.length));
+
+    const runners = Array.from({ length: runnerCount }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+}
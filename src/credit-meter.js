@@ -0,0 +1,114 @@
+/**
+ * API credit accounting: a per-run meter shared by all providers and a worst-case cost estimate for dry runs
+ */
+
+/**
+ * Counts the billable requests of a run per provider and enforces an optional credit budget
+ * Every API request is charged, including retries and no-results retries; cache and fixture hits are free.
+ */
+export class CreditMeter {
+    /**
+     * @param {Object} options - Meter options
+     * @param {number|null} [options.maxCredits] - Credit budget for the run (null or 0 = unlimited)
+     */
+    constructor({ maxCredits = null } = {}) {
+        this.maxCredits = maxCredits || null;
+        this.used = 0;
+        this.requests = 0;
+        // provider name -> { requests, credits }
+        this.byProvider = new Map();
+    }
+
+    /**
+     * Charge one request, refusing it when it would exceed the budget
+     * @param {string} providerName - Name of the provider sending the request
+     * @param {number} [credits] - Credits the request costs
+     * @throws {Error} - When the budget has no room for the request
+     */
+    charge(providerName, credits = 1) {
+        if (credits > 0 && this.maxCredits !== null && this.used + credits > this.maxCredits) {
+            throw new Error(`Credit budget of ${this.maxCredits} reached (${this.used} used)`);
+        }
+
+        const usage = this.byProvider.get(providerName) || { requests: 0, credits: 0 };
+        usage.requests++;
+        usage.credits += credits;
+        this.byProvider.set(providerName, usage);
+        this.requests++;
+        this.used += credits;
+    }
+
+    /**
+     * Whether the budget is used up, so no further request can be sent
+     * @returns {boolean}
+     */
+    isExhausted() {
+        return this.maxCredits !== null && this.used >= this.maxCredits;
+    }
+
+    /**
+     * Get the credits left in the budget
+     * @returns {number|null} - Remaining credits, or null without a budget
+     */
+    getRemaining() {
+        return this.maxCredits === null ? null : Math.max(0, this.maxCredits - this.used);
+    }
+
+    /**
+     * Get the totals for the run summary
+     * @returns {Object} - { used, requests, maxCredits, remaining, budgetReached, byProvider }
+     */
+    getSummary() {
+        return {
+            used: this.used,
+            requests: this.requests,
+            maxCredits: this.maxCredits,
+            remaining: this.getRemaining(),
+            budgetReached: this.isExhausted(),
+            byProvider: Object.fromEntries(this.byProvider)
+        };
+    }
+}
+
+/**
+ * Tell whether an error is a request refused by the credit budget (from CreditMeter.charge())
+ * A refused search did not fail: it is skipped and runs again on resume, e.g. with a larger budget
+ * @param {Error} error - Error thrown while searching
+ * @returns {boolean}
+ */
+export function isBudgetError(error) {
+    return /^Credit budget of \d+ reached/.test(error.message);
+}
+
+/**
+ * Estimate the worst-case credit cost of a run: every search fetches pages until maxResults is reached
+ * Retries are not included; searches with unlimited maxResults (0) have no upper bound and are counted separately
+ * @param {Array<Object>} queries - Query specs from normalizeQueries()
+ * @param {Object} [options] - Estimate options
+ * @param {number} [options.resultsPerPage] - Results returned per request
+ * @param {boolean} [options.paginated] - Whether the mode fetches more than one page per search
+ * @param {number} [options.creditsPerRequest] - Credits one request costs
+ * @param {number} [options.locationsPerSearch] - Requests per page, e.g. the points of a geo-grid
+ * @returns {Object} - { searches, requests, credits, unboundedSearches }
+ */
+export function estimateCredits(queries, { resultsPerPage = 10, paginated = true, creditsPerRequest = 1, locationsPerSearch = 1 } = {}) {
+    let requests = 0;
+    let unboundedSearches = 0;
+
+    for (const spec of queries) {
+        if (!paginated) {
+            requests += locationsPerSearch;
+        } else if (spec.maxResults === 0) {
+            unboundedSearches++;
+        } else {
+            requests += Math.ceil(spec.maxResults / resultsPerPage) * locationsPerSearch;
+        }
+    }
+
+    return {
+        searches: queries.length,
+        requests,
+        credits: requests * creditsPerRequest,
+        unboundedSearches
+    };
+}
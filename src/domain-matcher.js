@@ -0,0 +1,146 @@
+import { getDomain } from 'tldts';
+
+/**
+ * Domain match strategies, from strictest to loosest
+ * - exact: host equals the target (www. ignored)
+ * - include-subdomains: exact, or any subdomain of the target
+ * - registrable-domain: host and target share the same registrable domain (e.g. blog.example.co.uk ~ shop.example.co.uk)
+ * - partial: include-subdomains, or every dot-separated part of the target appears inside a host part (legacy behavior)
+ * - url-prefix: the result URL starts with the target (scheme and www. ignored), e.g. example.com/blog/
+ * - regex: the result URL matches the target as a case-insensitive regular expression
+ */
+export const MATCH_STRATEGIES = ['exact', 'include-subdomains', 'registrable-domain', 'partial', 'url-prefix', 'regex'];
+
+export const DEFAULT_MATCH_STRATEGY = 'partial';
+
+const DOMAIN_PATTERN = /^(?:www\.)?[a-zA-Z0-9][-a-zA-Z0-9]*(?:\.[a-zA-Z0-9][-a-zA-Z0-9]*)*$/;
+
+/**
+ * Extract the hostname of a URL without www.
+ * @param {string} url - URL
+ * @returns {string} - Lowercase hostname, or '' if the URL can't be parsed
+ */
+export function extractHostname(url) {
+    try {
+        const { hostname } = new URL(url);
+        return hostname.replace(/^www\./i, '').toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Normalize a domain input to a lowercase hostname without www.
+ * @param {string} domain - Domain (or URL, for backward compatibility)
+ * @returns {string} - Normalized domain
+ */
+export function normalizeDomain(domain) {
+    if (!domain) return '';
+    try {
+        // Input validation ensures clean domains (no http://, https://, or paths)
+        // But handle URLs for backward compatibility
+        const parsed = domain.includes('://') ? new URL(domain) : new URL(`https://${domain}`);
+        return parsed.hostname.replace(/^www\./i, '').toLowerCase();
+    } catch {
+        // Fallback: just remove www. and lowercase
+        return domain.replace(/^www\./i, '').toLowerCase();
+    }
+}
+
+/**
+ * Validate a tracked target for a match strategy
+ * @param {string} target - Tracked domain, URL prefix or regular expression
+ * @param {string} strategy - Match strategy
+ * @throws {Error} - When the target can't be used with the strategy
+ */
+export function validateMatchTarget(target, strategy) {
+    if (strategy === 'regex') {
+        try {
+            new RegExp(target, 'i'); // eslint-disable-line no-new
+        } catch (error) {
+            throw new Error(`Invalid regular expression "${target}" for matchStrategy "regex": ${error.message}`);
+        }
+        return;
+    }
+
+    if (strategy === 'url-prefix') {
+        if (!normalizeUrlForPrefix(target)) {
+            throw new Error(`Invalid URL prefix "${target}" for matchStrategy "url-prefix". Use formats like: lkyurology.com/blog or https://www.lkyurology.com/services/`);
+        }
+        return;
+    }
+
+    if (!DOMAIN_PATTERN.test(target)) {
+        throw new Error(`Invalid domain format "${target}". Use formats like: lkyurology.com, www.lkyurology.com, or lkyurology (no http://, https://, or paths)`);
+    }
+    if (strategy === 'registrable-domain' && !getDomain(normalizeDomain(target))) {
+        throw new Error(`Domain "${target}" has no registrable domain (e.g. lkyurology.com) and can't be used with matchStrategy "registrable-domain"`);
+    }
+}
+
+/**
+ * Match a result URL against a tracked target
+ * @param {string} url - Result URL
+ * @param {string} target - Tracked domain, URL prefix or regular expression
+ * @param {string} strategy - Match strategy
+ * @returns {string|null} - Match type (exact, subdomain, registrable-domain, partial, url-prefix or regex), or null
+ */
+export function matchTarget(url, target, strategy = DEFAULT_MATCH_STRATEGY) {
+    if (!url) return null;
+
+    if (strategy === 'regex') {
+        return new RegExp(target, 'i').test(url) ? 'regex' : null;
+    }
+
+    if (strategy === 'url-prefix') {
+        const prefix = normalizeUrlForPrefix(target);
+        return prefix && normalizeUrlForPrefix(url).startsWith(prefix) ? 'url-prefix' : null;
+    }
+
+    const host = extractHostname(url);
+    const domain = normalizeDomain(target);
+    if (!host || !domain) return null;
+
+    // Check for exact match
+    if (host === domain) return 'exact';
+    if (strategy === 'exact') return null;
+
+    // Check for subdomain match (e.g., sub.example.com matches example.com)
+    const subdomainMatch = host.endsWith(`.${domain}`);
+
+    if (strategy === 'registrable-domain') {
+        const registrable = getDomain(domain);
+        if (registrable && getDomain(host) === registrable) {
+            return subdomainMatch ? 'subdomain' : 'registrable-domain';
+        }
+        return null;
+    }
+
+    if (subdomainMatch) return 'subdomain';
+    if (strategy === 'include-subdomains') return null;
+
+    // Check for partial word match (e.g., lkyurology matches lkyurology.com)
+    // Split both host and target by dots and check if target words are contained in host
+    const hostParts = host.split('.');
+    const targetParts = domain.split('.');
+    const partialMatch = targetParts.every(targetPart =>
+        hostParts.some(hostPart => hostPart.includes(targetPart))
+    );
+    return partialMatch ? 'partial' : null;
+}
+
+/**
+ * Normalize a URL or URL prefix for prefix comparison
+ * Drops the scheme and www., lowercases the host and keeps the path as-is
+ * @param {string} url - URL or prefix such as example.com/blog
+ * @returns {string} - e.g. "example.com/blog", or '' if it can't be parsed
+ */
+function normalizeUrlForPrefix(url) {
+    try {
+        const parsed = new URL(url.includes('://') ? url : `https://${url}`);
+        const host = parsed.hostname.replace(/^www\./i, '').toLowerCase();
+        return `${host}${parsed.pathname}${parsed.search}`;
+    } catch {
+        return '';
+    }
+}
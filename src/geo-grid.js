@@ -0,0 +1,92 @@
+/**
+ * Geo-grid helpers for local rank tracking
+ * A grid is a square of evenly spaced points around a center coordinate,
+ * each searched on Maps with its own `ll` parameter
+ */
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG_AT_EQUATOR = 111.32;
+
+/**
+ * Parse a center coordinate
+ * The input schema checks the "latitude,longitude" format and the coordinate ranges
+ * @param {string} center - "lat,lng" string
+ * @returns {Object} - { lat, lng }
+ */
+export function parseCoordinate(center) {
+    const [lat, lng] = center.split(',').map(part => Number(part.trim()));
+    return { lat, lng };
+}
+
+/**
+ * Build the points of a square geo-grid
+ * Row 0 is the northern edge and column 0 the western edge
+ * @param {Object} options - Grid options
+ * @param {Object} options.center - Center coordinate { lat, lng }
+ * @param {number} options.radiusKm - Distance from the center to the grid edge in kilometers
+ * @param {number} options.gridSize - Number of points per side (odd sizes keep a point on the center)
+ * @param {number} options.zoom - Maps zoom level for each point
+ * @returns {Array<Object>} - Grid points with row, col, lat, lng and ll
+ */
+export function buildGeoGrid({ center, radiusKm, gridSize, zoom }) {
+    const stepKm = gridSize > 1 ? (2 * radiusKm) / (gridSize - 1) : 0;
+    const kmPerDegreeLng = KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos((center.lat * Math.PI) / 180);
+    const points = [];
+
+    for (let row = 0; row < gridSize; row++) {
+        for (let col = 0; col < gridSize; col++) {
+            const northKm = radiusKm - (row * stepKm);
+            const eastKm = (col * stepKm) - radiusKm;
+            const lat = center.lat + (gridSize > 1 ? northKm / KM_PER_DEGREE_LAT : 0);
+            const lng = center.lng + (gridSize > 1 ? eastKm / kmPerDegreeLng : 0);
+            points.push({
+                row,
+                col,
+                lat: Number(lat.toFixed(7)),
+                lng: Number(lng.toFixed(7)),
+                ll: formatLl(lat, lng, zoom)
+            });
+        }
+    }
+    return points;
+}
+
+/**
+ * Format a coordinate as a Serper `ll` parameter
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Maps zoom level
+ * @returns {string} - e.g. "@1.3048000,103.8318000,14z"
+ */
+export function formatLl(lat, lng, zoom) {
+    return `@${lat.toFixed(7)},${lng.toFixed(7)},${zoom}z`;
+}
+
+/**
+ * Summarize per-point results into a grid matrix and an average rank
+ * @param {Array<Object>} pointResults - Grid points with position (number or null) and status
+ * @param {number} gridSize - Number of points per side
+ * @returns {Object} - { matrix, averageRank, foundPoints, totalPoints }
+ */
+export function summarizeGrid(pointResults, gridSize) {
+    const matrix = Array.from({ length: gridSize }, () => Array(gridSize).fill(null));
+    const foundPositions = [];
+
+    for (const point of pointResults) {
+        matrix[point.row][point.col] = point.position;
+        if (typeof point.position === 'number') {
+            foundPositions.push(point.position);
+        }
+    }
+
+    const averageRank = foundPositions.length > 0
+        ? Number((foundPositions.reduce((sum, position) => sum + position, 0) / foundPositions.length).toFixed(2))
+        : null;
+
+    return {
+        matrix,
+        averageRank,
+        foundPoints: foundPositions.length,
+        totalPoints: pointResults.length
+    };
+}
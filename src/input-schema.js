@@ -0,0 +1,138 @@
+import fs from 'node:fs';
+
+/**
+ * Input schema and validation for every way input arrives: Apify, command line and config file
+ * .actor/input_schema.json is the only schema; the Apify console renders it and local input is checked against it
+ */
+
+/**
+ * The Actor input schema
+ */
+export const INPUT_SCHEMA = JSON.parse(fs.readFileSync(new URL('../.actor/input_schema.json', import.meta.url), 'utf8'));
+
+/**
+ * Validate input against the schema and fill in the schema defaults
+ * Lists of strings may also be given as comma-separated strings (e.g. "domain": "a.com,b.com" in a config file)
+ * @param {Object} input - Raw input
+ * @param {Object} [schema] - Input schema
+ * @returns {Object} - Copy of the input with defaults for unset fields
+ * @throws {Error} - Listing every invalid field, e.g. "maxResults: must be between 0 and 10000 (got -5)"
+ */
+export function validateInput(input, schema = INPUT_SCHEMA) {
+    if (!isPlainObject(input)) {
+        throw new Error('Invalid input: expected an object with input fields.');
+    }
+
+    const validated = { ...input };
+    const errors = [];
+    for (const [field, property] of Object.entries(schema.properties)) {
+        if (validated[field] === undefined || validated[field] === null) {
+            if (property.default !== undefined) {
+                validated[field] = structuredClone(property.default);
+            } else if (schema.required?.includes(field)) {
+                errors.push(`${field}: is required`);
+            }
+            continue;
+        }
+
+        if (property.type === 'array' && property.items?.type === 'string' && typeof validated[field] === 'string') {
+            validated[field] = validated[field].split(',').map(value => value.trim()).filter(Boolean);
+        }
+        // Secret fields (API keys) are reported without their value
+        const error = checkValue(validated[field], property, !property.isSecret);
+        if (error) {
+            errors.push(`${field}: ${error}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid input:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return validated;
+}
+
+/**
+ * Check a value against a schema property
+ * @param {*} value - Field value
+ * @param {Object} property - Schema property (or array items definition)
+ * @param {boolean} [showValue] - Whether to quote the invalid value in the message
+ * @returns {string|null} - Error message, or null when the value is valid
+ */
+function checkValue(value, property, showValue = true) {
+    const got = showValue ? ` (got ${JSON.stringify(value)})` : '';
+    const types = [].concat(property.type);
+    if (!types.some(type => matchesType(value, type))) {
+        return `must be ${types.map(describeType).join(' or ')}${got}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+        return `must be one of ${property.enum.join(', ')}${got}`;
+    }
+
+    if (typeof value === 'number') {
+        const { minimum, maximum, multipleOf } = property;
+        const isBelow = minimum !== undefined && value < minimum;
+        const isAbove = maximum !== undefined && value > maximum;
+        if (isBelow || isAbove) {
+            if (minimum !== undefined && maximum !== undefined) return `must be between ${minimum} and ${maximum}${got}`;
+            return isBelow ? `must be at least ${minimum}${got}` : `must be at most ${maximum}${got}`;
+        }
+        if (multipleOf !== undefined && value % multipleOf !== 0) {
+            return `must be a multiple of ${multipleOf}${got}`;
+        }
+    }
+
+    if (typeof value === 'string' && property.pattern && !new RegExp(property.pattern).test(value)) {
+        return `must match the pattern ${property.pattern}${got}`;
+    }
+
+    if (Array.isArray(value) && property.items) {
+        for (const [index, item] of value.entries()) {
+            const error = checkValue(item, property.items, showValue);
+            if (error) return `item ${index + 1} ${error}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the JSON type of a value
+ * @param {*} value - Field value
+ * @param {string} type - Schema type
+ * @returns {boolean} - Whether the value has the type
+ */
+function matchesType(value, type) {
+    const checkByType = {
+        string: item => typeof item === 'string',
+        boolean: item => typeof item === 'boolean',
+        integer: Number.isInteger,
+        number: Number.isFinite,
+        array: Array.isArray,
+        object: isPlainObject
+    };
+    return Boolean(checkByType[type]?.(value));
+}
+
+/**
+ * Describe a schema type for error messages
+ * @param {string} type - Schema type
+ * @returns {string} - e.g. "a whole number"
+ */
+function describeType(type) {
+    const descriptions = {
+        string: 'a string',
+        integer: 'a whole number',
+        number: 'a number',
+        boolean: 'true or false',
+        array: 'a list',
+        object: 'an object'
+    };
+    return descriptions[type] || type;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is an object that is not an array or null
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
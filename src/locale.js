@@ -0,0 +1,389 @@
+/**
+ * Locale helpers shared by the providers and input validation
+ * Resolves location names to Google country codes (gl), city-level locations and validated language codes (hl)
+ */
+
+/**
+ * ISO 3166-1 alpha-2 country codes and names
+ */
+export const COUNTRIES = {
+    ad: 'Andorra',
+    ae: 'United Arab Emirates',
+    af: 'Afghanistan',
+    ag: 'Antigua and Barbuda',
+    ai: 'Anguilla',
+    al: 'Albania',
+    am: 'Armenia',
+    ao: 'Angola',
+    aq: 'Antarctica',
+    ar: 'Argentina',
+    as: 'American Samoa',
+    at: 'Austria',
+    au: 'Australia',
+    aw: 'Aruba',
+    ax: 'Aland Islands',
+    az: 'Azerbaijan',
+    ba: 'Bosnia and Herzegovina',
+    bb: 'Barbados',
+    bd: 'Bangladesh',
+    be: 'Belgium',
+    bf: 'Burkina Faso',
+    bg: 'Bulgaria',
+    bh: 'Bahrain',
+    bi: 'Burundi',
+    bj: 'Benin',
+    bl: 'Saint Barthelemy',
+    bm: 'Bermuda',
+    bn: 'Brunei',
+    bo: 'Bolivia',
+    bq: 'Caribbean Netherlands',
+    br: 'Brazil',
+    bs: 'Bahamas',
+    bt: 'Bhutan',
+    bv: 'Bouvet Island',
+    bw: 'Botswana',
+    by: 'Belarus',
+    bz: 'Belize',
+    ca: 'Canada',
+    cc: 'Cocos (Keeling) Islands',
+    cd: 'Democratic Republic of the Congo',
+    cf: 'Central African Republic',
+    cg: 'Republic of the Congo',
+    ch: 'Switzerland',
+    ci: 'Cote d\'Ivoire',
+    ck: 'Cook Islands',
+    cl: 'Chile',
+    cm: 'Cameroon',
+    cn: 'China',
+    co: 'Colombia',
+    cr: 'Costa Rica',
+    cu: 'Cuba',
+    cv: 'Cape Verde',
+    cw: 'Curacao',
+    cx: 'Christmas Island',
+    cy: 'Cyprus',
+    cz: 'Czechia',
+    de: 'Germany',
+    dj: 'Djibouti',
+    dk: 'Denmark',
+    dm: 'Dominica',
+    do: 'Dominican Republic',
+    dz: 'Algeria',
+    ec: 'Ecuador',
+    ee: 'Estonia',
+    eg: 'Egypt',
+    eh: 'Western Sahara',
+    er: 'Eritrea',
+    es: 'Spain',
+    et: 'Ethiopia',
+    fi: 'Finland',
+    fj: 'Fiji',
+    fk: 'Falkland Islands',
+    fm: 'Micronesia',
+    fo: 'Faroe Islands',
+    fr: 'France',
+    ga: 'Gabon',
+    gb: 'United Kingdom',
+    gd: 'Grenada',
+    ge: 'Georgia',
+    gf: 'French Guiana',
+    gg: 'Guernsey',
+    gh: 'Ghana',
+    gi: 'Gibraltar',
+    gl: 'Greenland',
+    gm: 'Gambia',
+    gn: 'Guinea',
+    gp: 'Guadeloupe',
+    gq: 'Equatorial Guinea',
+    gr: 'Greece',
+    gs: 'South Georgia and the South Sandwich Islands',
+    gt: 'Guatemala',
+    gu: 'Guam',
+    gw: 'Guinea-Bissau',
+    gy: 'Guyana',
+    hk: 'Hong Kong',
+    hm: 'Heard Island and McDonald Islands',
+    hn: 'Honduras',
+    hr: 'Croatia',
+    ht: 'Haiti',
+    hu: 'Hungary',
+    id: 'Indonesia',
+    ie: 'Ireland',
+    il: 'Israel',
+    im: 'Isle of Man',
+    in: 'India',
+    io: 'British Indian Ocean Territory',
+    iq: 'Iraq',
+    ir: 'Iran',
+    is: 'Iceland',
+    it: 'Italy',
+    je: 'Jersey',
+    jm: 'Jamaica',
+    jo: 'Jordan',
+    jp: 'Japan',
+    ke: 'Kenya',
+    kg: 'Kyrgyzstan',
+    kh: 'Cambodia',
+    ki: 'Kiribati',
+    km: 'Comoros',
+    kn: 'Saint Kitts and Nevis',
+    kp: 'North Korea',
+    kr: 'South Korea',
+    kw: 'Kuwait',
+    ky: 'Cayman Islands',
+    kz: 'Kazakhstan',
+    la: 'Laos',
+    lb: 'Lebanon',
+    lc: 'Saint Lucia',
+    li: 'Liechtenstein',
+    lk: 'Sri Lanka',
+    lr: 'Liberia',
+    ls: 'Lesotho',
+    lt: 'Lithuania',
+    lu: 'Luxembourg',
+    lv: 'Latvia',
+    ly: 'Libya',
+    ma: 'Morocco',
+    mc: 'Monaco',
+    md: 'Moldova',
+    me: 'Montenegro',
+    mf: 'Saint Martin',
+    mg: 'Madagascar',
+    mh: 'Marshall Islands',
+    mk: 'North Macedonia',
+    ml: 'Mali',
+    mm: 'Myanmar',
+    mn: 'Mongolia',
+    mo: 'Macao',
+    mp: 'Northern Mariana Islands',
+    mq: 'Martinique',
+    mr: 'Mauritania',
+    ms: 'Montserrat',
+    mt: 'Malta',
+    mu: 'Mauritius',
+    mv: 'Maldives',
+    mw: 'Malawi',
+    mx: 'Mexico',
+    my: 'Malaysia',
+    mz: 'Mozambique',
+    na: 'Namibia',
+    nc: 'New Caledonia',
+    ne: 'Niger',
+    nf: 'Norfolk Island',
+    ng: 'Nigeria',
+    ni: 'Nicaragua',
+    nl: 'Netherlands',
+    no: 'Norway',
+    np: 'Nepal',
+    nr: 'Nauru',
+    nu: 'Niue',
+    nz: 'New Zealand',
+    om: 'Oman',
+    pa: 'Panama',
+    pe: 'Peru',
+    pf: 'French Polynesia',
+    pg: 'Papua New Guinea',
+    ph: 'Philippines',
+    pk: 'Pakistan',
+    pl: 'Poland',
+    pm: 'Saint Pierre and Miquelon',
+    pn: 'Pitcairn Islands',
+    pr: 'Puerto Rico',
+    ps: 'Palestine',
+    pt: 'Portugal',
+    pw: 'Palau',
+    py: 'Paraguay',
+    qa: 'Qatar',
+    re: 'Reunion',
+    ro: 'Romania',
+    rs: 'Serbia',
+    ru: 'Russia',
+    rw: 'Rwanda',
+    sa: 'Saudi Arabia',
+    sb: 'Solomon Islands',
+    sc: 'Seychelles',
+    sd: 'Sudan',
+    se: 'Sweden',
+    sg: 'Singapore',
+    sh: 'Saint Helena',
+    si: 'Slovenia',
+    sj: 'Svalbard and Jan Mayen',
+    sk: 'Slovakia',
+    sl: 'Sierra Leone',
+    sm: 'San Marino',
+    sn: 'Senegal',
+    so: 'Somalia',
+    sr: 'Suriname',
+    ss: 'South Sudan',
+    st: 'Sao Tome and Principe',
+    sv: 'El Salvador',
+    sx: 'Sint Maarten',
+    sy: 'Syria',
+    sz: 'Eswatini',
+    tc: 'Turks and Caicos Islands',
+    td: 'Chad',
+    tf: 'French Southern Territories',
+    tg: 'Togo',
+    th: 'Thailand',
+    tj: 'Tajikistan',
+    tk: 'Tokelau',
+    tl: 'Timor-Leste',
+    tm: 'Turkmenistan',
+    tn: 'Tunisia',
+    to: 'Tonga',
+    tr: 'Turkey',
+    tt: 'Trinidad and Tobago',
+    tv: 'Tuvalu',
+    tw: 'Taiwan',
+    tz: 'Tanzania',
+    ua: 'Ukraine',
+    ug: 'Uganda',
+    um: 'United States Minor Outlying Islands',
+    us: 'United States',
+    uy: 'Uruguay',
+    uz: 'Uzbekistan',
+    va: 'Vatican City',
+    vc: 'Saint Vincent and the Grenadines',
+    ve: 'Venezuela',
+    vg: 'British Virgin Islands',
+    vi: 'U.S. Virgin Islands',
+    vn: 'Vietnam',
+    vu: 'Vanuatu',
+    wf: 'Wallis and Futuna',
+    ws: 'Samoa',
+    ye: 'Yemen',
+    yt: 'Mayotte',
+    za: 'South Africa',
+    zm: 'Zambia',
+    zw: 'Zimbabwe'
+};
+
+/**
+ * Other common names for countries, mapped to their country code
+ */
+const COUNTRY_ALIASES = {
+    'usa': 'us',
+    'united states of america': 'us',
+    'america': 'us',
+    'uk': 'gb',
+    'great britain': 'gb',
+    'britain': 'gb',
+    'england': 'gb',
+    'scotland': 'gb',
+    'wales': 'gb',
+    'northern ireland': 'gb',
+    'uae': 'ae',
+    'korea': 'kr',
+    'republic of korea': 'kr',
+    'viet nam': 'vn',
+    'russian federation': 'ru',
+    'czech republic': 'cz',
+    'holland': 'nl',
+    'the netherlands': 'nl',
+    'macau': 'mo',
+    'burma': 'mm',
+    'ivory coast': 'ci',
+    'swaziland': 'sz',
+    'macedonia': 'mk',
+    'turkiye': 'tr',
+    'east timor': 'tl',
+    'vatican': 'va',
+    'drc': 'cd',
+    'congo': 'cg',
+    'bosnia': 'ba',
+    'cabo verde': 'cv'
+};
+
+/**
+ * Google interface language codes accepted as hl
+ * Region variants of these (e.g. en-gb, es-mx) are accepted too
+ */
+export const LANGUAGES = [
+    'af', 'ak', 'am', 'ar', 'az', 'be', 'bem', 'bg', 'bh', 'bn', 'br', 'bs', 'ca', 'chr', 'ckb', 'co', 'crs', 'cs', 'cy',
+    'da', 'de', 'ee', 'el', 'en', 'eo', 'es', 'es-419', 'et', 'eu', 'fa', 'fi', 'fil', 'fo', 'fr', 'fy', 'ga', 'gaa',
+    'gd', 'gl', 'gn', 'gu', 'ha', 'haw', 'he', 'hi', 'hr', 'ht', 'hu', 'hy', 'ia', 'id', 'ig', 'is', 'it', 'iw', 'ja',
+    'jv', 'jw', 'ka', 'kg', 'kk', 'km', 'kn', 'ko', 'kri', 'ku', 'ky', 'la', 'lg', 'ln', 'lo', 'loz', 'lt', 'lua', 'lv',
+    'mfe', 'mg', 'mi', 'mk', 'ml', 'mn', 'mo', 'mr', 'ms', 'mt', 'my', 'nb', 'ne', 'nl', 'nn', 'no', 'nso', 'ny', 'nyn',
+    'oc', 'om', 'or', 'pa', 'pcm', 'pl', 'ps', 'pt', 'pt-br', 'pt-pt', 'qu', 'rm', 'rn', 'ro', 'ru', 'rw', 'sd', 'sh',
+    'si', 'sk', 'sl', 'sn', 'so', 'sq', 'sr', 'sr-me', 'st', 'su', 'sv', 'sw', 'ta', 'te', 'tg', 'th', 'ti', 'tk', 'tl',
+    'tn', 'to', 'tr', 'tt', 'tum', 'tw', 'ug', 'uk', 'ur', 'uz', 'vi', 'wo', 'xh', 'yi', 'yo', 'zh', 'zh-cn', 'zh-hk',
+    'zh-tw', 'zu'
+];
+
+const COUNTRY_CODES_BY_NAME = new Map([
+    ...Object.entries(COUNTRIES).map(([code, name]) => [name.toLowerCase(), code]),
+    ...Object.entries(COUNTRY_ALIASES)
+]);
+
+/**
+ * Look up the country code for a country name, alias or ISO 3166-1 alpha-2 code
+ * @param {string} country - Country name, alias or code (case-insensitive)
+ * @returns {string|null} - Lowercase country code, or null if unknown
+ */
+export function findCountryCode(country) {
+    const normalized = String(country || '').trim().toLowerCase();
+    if (!normalized) return null;
+    if (COUNTRY_CODES_BY_NAME.has(normalized)) return COUNTRY_CODES_BY_NAME.get(normalized);
+    return Object.hasOwn(COUNTRIES, normalized) ? normalized : null;
+}
+
+/**
+ * Resolve a location input to Serper's gl country code and, for city-level locations, its location parameter
+ * - Country name, alias or code: "Germany", "UK", "de"
+ * - City-level location ending with a country: "Austin, Texas, United States"
+ * @param {string} location - Location input
+ * @returns {Object} - { gl, location } where location is only set for city-level locations (undefined when no input)
+ * @throws {Error} - When the country can't be recognized
+ */
+export function resolveLocation(location) {
+    const text = String(location || '').trim();
+    if (!text) return { gl: undefined, location: undefined };
+
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    const country = parts[parts.length - 1];
+    const gl = findCountryCode(country);
+    if (!gl) {
+        throw new Error(`Unknown location "${text}". Use a country name or ISO 3166 code (e.g. Germany, de), or a city-level location ending with its country (e.g. Austin, Texas, United States).`);
+    }
+
+    return {
+        gl,
+        // Serper's canonical city-level names spell the country out in full
+        location: parts.length > 1 ? [...parts.slice(0, -1), COUNTRIES[gl]].join(', ') : undefined
+    };
+}
+
+/**
+ * Normalize and validate a language input as a Google hl code
+ * @param {string} language - Language code, e.g. "en", "de", "pt-BR" or "en-GB"
+ * @returns {string|undefined} - Lowercase hl code, or undefined when no input
+ * @throws {Error} - When the language code is not supported
+ */
+export function normalizeLanguage(language) {
+    const text = String(language || '').trim().toLowerCase().replace('_', '-');
+    if (!text) return undefined;
+
+    const [base, region] = text.split('-');
+    const isKnown = LANGUAGES.includes(text)
+        || (LANGUAGES.includes(base) && /^([a-z]{2}|\d{3})$/.test(region || ''));
+    if (!isKnown) {
+        throw new Error(`Unsupported language "${language}". Use a Google language code such as en, de, es-419, pt-br or zh-tw.`);
+    }
+    return text;
+}
+
+/**
+ * Build the Serper request parameters for a location and language
+ * @param {string} location - Location input (see resolveLocation)
+ * @param {string} language - Language input (see normalizeLanguage)
+ * @returns {Object} - { gl, location, hl }, with only the parameters that apply
+ */
+export function createLocaleParams(location, language) {
+    const locale = resolveLocation(location);
+    const hl = normalizeLanguage(language);
+    return {
+        ...(locale.gl ? { gl: locale.gl } : {}),
+        ...(locale.location ? { location: locale.location } : {}),
+        ...(hl ? { hl } : {})
+    };
+}
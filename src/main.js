@@ -1,7 +1,30 @@
 // SERP Scraper - Works in both Apify and standalone Node.js
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { Checkpoint, createInputFingerprint } from './checkpoint.js';
+import { formatHelp, parseCommandLine, runDiffCommand, runReportCommand } from './cli.js';
+import { runPool, TokenBucket } from './concurrency.js';
+import { CreditMeter, estimateCredits } from './credit-meter.js';
+import {
+    extractHostname,
+    matchTarget,
+    normalizeDomain,
+    validateMatchTarget
+} from './domain-matcher.js';
+import { buildGeoGrid, parseCoordinate, summarizeGrid } from './geo-grid.js';
+import { validateInput } from './input-schema.js';
+import { normalizeLanguage, resolveLocation } from './locale.js';
+import { isRequestRefused } from './providers/base-provider.js';
+import { FailoverProvider } from './providers/failover-provider.js';
+import { KeyPool } from './providers/key-pool.js';
 import { providerFactory } from './providers/provider-factory.js';
-import fs from 'fs';
-import path from 'path';
+import { ResponseCache } from './providers/response-cache.js';
+import { createMarket, loadQueriesFile, normalizeQueries } from './query-input.js';
+import { RankHistory } from './rank-history.js';
+import { RunExporter } from './run-exporter.js';
+import { RunSummary } from './run-summary.js';
+import { formatSearchParams, normalizeSearchParams, SEARCH_PARAM_MODES } from './search-params.js';
 
 // Dynamic import for Apify SDK (only when running on Apify)
 let Actor = null;
@@ -13,91 +36,309 @@ try {
     console.log('Running in local mode (Apify SDK not found)');
 }
 
-// Get input from Apify, command line arguments, or config file
+// Parse the command line: subcommand, flags, --config file and SERP_* environment fallbacks
+let cli;
+try {
+    cli = parseCommandLine(process.argv.slice(2));
+    if (cli.command === 'help') {
+        console.log(formatHelp(cli.positionals[0]));
+        process.exit(0);
+    }
+    if (cli.command === 'report') {
+        runReportCommand(cli.positionals, cli.input);
+        process.exit(0);
+    }
+    if (cli.command === 'diff') {
+        runDiffCommand(cli.positionals, cli.input);
+        process.exit(0);
+    }
+} catch (error) {
+    console.error(`${error.message}\nRun "node src/main.js --help" for usage.`);
+    process.exit(1);
+}
+
+// Get input from Apify, or from the command line merged with the config file and environment,
+// then check it against the input schema and fill in the schema defaults
 console.log('Getting input...');
-const input = await getInput();
+let input;
+try {
+    input = validateInput(await getInput(cli));
+} catch (error) {
+    await exitWithInputError(error.message);
+}
 console.log('Input received:', { 
     queries: input?.queries?.length || 0, 
     provider: input?.provider, 
     mode: input?.mode,
-    domain: input?.domain 
+    domain: input?.domain,
+    domains: input?.domains
 });
 
-// Validate input
-if (!input) {
-    throw new Error('No input provided. Please provide search queries.');
-}
-
 // Initialize actor state persistence
 let actorState = {
     processedQueries: [],
-    currentQueryIndex: 0,
+    // Indexes of queries that are done (completed or failed); queries may finish out of order
+    completedQueryIndexes: [],
     totalResults: 0,
     startTime: new Date().toISOString(),
     migrationCount: 0,
     lastMigration: null
 };
 
-// Load previous state if available (when running on Apify)
-if (Actor) {
-    const previousState = await Actor.getValue('ACTOR_STATE');
-    if (previousState) {
-        actorState = { ...actorState, ...previousState };
-    }
-}
-
 
 // Get configuration from environment variables
-const mode = input.mode || 'search';
-const providerName = input.provider || 'serper';
-const providerKey = input.providerKey || process.env.PROVIDER_KEY;
+const { mode } = input;
+// Modes whose results are business listings, which can also be tracked by cid:, placeId: or name:
+const isListingMode = mode === 'maps' || mode === 'places';
+const providerName = input.provider;
+// Several keys (e.g. from different accounts) are rotated, and a key that runs out of credits is dropped for the run
+const inputKeys = parseKeyList(input.providerKeys?.length ? input.providerKeys : input.providerKey);
+const providerKeys = inputKeys.length > 0 ? inputKeys : parseKeyList(process.env.PROVIDER_KEYS || process.env.PROVIDER_KEY);
 
-if (!providerKey) {
-    throw new Error('Provider key is required. Please set PROVIDER_KEY environment variable or provide providerKey in input.');
+// Only-cache runs, fixture replays and dry runs never call the API, so they don't need a key
+const isDryRun = input.dryRun;
+const isOffline = input.cacheMode === 'only-cache' || (providerName === 'replay' && input.replayMode === 'replay');
+if (providerKeys.length === 0 && !isOffline && !isDryRun) {
+    await exitWithInputError('Provider key is required. Please set the PROVIDER_KEY (or PROVIDER_KEYS) environment variable or provide providerKey or providerKeys in input.');
 }
 
+// Cache raw provider responses on disk so reruns can skip the API
+const { cacheMode } = input;
+const responseCache = cacheMode === 'off' ? null : new ResponseCache({
+    dir: input.cacheDir || path.join(input.outputDir, 'cache'),
+    mode: cacheMode,
+    ttlHours: input.cacheTtlHours
+});
+if (responseCache) {
+    console.log('Response cache:', { mode: responseCache.mode, dir: responseCache.dir, ttlHours: input.cacheTtlHours });
+}
+
+// Search results per request: Google pages hold 10 results, but the search APIs return up to 100 per request
+// The schema checks the range and that pages hold whole Google result pages (multiples of 10)
+const { resultsPerPage } = input;
+
 // Create provider instance based on mode
 console.log('Creating provider:', { mode, providerName });
-const provider = providerFactory.createProviderByMode(mode, providerName, {
-    apiKey: providerKey,
+if (!providerFactory.getAvailableProviders().includes(`${providerName}-${mode}`)) {
+    await exitWithInputError(`Provider "${providerName}" does not support ${mode} mode. Available providers: ${providerFactory.getAvailableProviders().join(', ')}`);
+}
+const providerConfig = {
+    resultsPerPage,
     noResultsRetries: input.noResultsRetries,
-    noResultsRetryDelay: input.noResultsRetryDelay
+    noResultsRetryDelay: input.noResultsRetryDelay,
+    responseCache,
+    replayMode: input.replayMode,
+    fixturesDir: input.fixturesDir
+};
+const primaryProvider = providerFactory.createProviderByMode(mode, providerName, {
+    ...providerConfig,
+    keyPool: createKeyPool(providerKeys, providerName)
 });
-console.log('Provider created successfully');
 
+// Fallback providers take over a query when the one before them fails, e.g. during an outage or when credits run out
+// Each entry is a provider name or { provider, providerKey(s) }; keys default to the <PROVIDER>_KEYS or <PROVIDER>_KEY environment variable
+const fallbackProviders = [];
+for (const entry of input.fallbackProviders || []) {
+    const fallback = typeof entry === 'string' ? { provider: entry } : entry;
+    const envName = `${String(fallback.provider).toUpperCase()}_KEY`;
+    const keys = parseKeyList(fallback.providerKeys || fallback.providerKey || process.env[`${envName}S`] || process.env[envName]);
+    if (keys.length === 0 && fallback.provider !== 'replay' && !isDryRun) {
+        await exitWithInputError(`Fallback provider "${fallback.provider}" needs a key. Set ${envName} or provide providerKey in its fallbackProviders entry.`);
+    }
+    if (!providerFactory.getAvailableProviders().includes(`${fallback.provider}-${mode}`)) {
+        await exitWithInputError(`Fallback provider "${fallback.provider}" does not support ${mode} mode. Available providers: ${providerFactory.getAvailableProviders().join(', ')}`);
+    }
+    fallbackProviders.push(providerFactory.createProviderByMode(mode, fallback.provider, {
+        ...providerConfig,
+        keyPool: createKeyPool(keys, fallback.provider)
+    }));
+}
+const providerChain = [primaryProvider, ...fallbackProviders];
+const provider = fallbackProviders.length > 0 ? new FailoverProvider(providerChain) : primaryProvider;
+console.log('Provider created successfully:', provider.getName());
+
+// Count every API request (retries included) per provider; with maxCredits the run stops starting new searches once it is spent
+const creditMeter = new CreditMeter({ maxCredits: input.maxCredits });
+for (const chainProvider of providerChain) {
+    chainProvider.setCreditMeter(creditMeter);
+}
+if (creditMeter.maxCredits) {
+    console.log('Credit budget:', { maxCredits: creditMeter.maxCredits });
+}
+
+// Share one token-bucket limiter per provider between all concurrent queries, paced by that provider's rate limits
+const { concurrency } = input;
+for (const chainProvider of providerChain) {
+    const requestsPerMinute = input.requestsPerMinute ?? chainProvider.getRateLimitInfo().requestsPerMinute;
+    chainProvider.setRateLimiter(new TokenBucket({ requestsPerMinute }));
+    console.log('Rate limiting:', { provider: chainProvider.getName(), concurrency, requestsPerMinute: requestsPerMinute || 'unlimited' });
+}
 
 // Create output directory for storing results
-const outputDir = input.outputDir || './output';
+const { outputDir } = input;
 if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
 }
 
-// Process queries
-const queries = input.queries || [];
+// Process queries: plain strings, or objects with their own location, language, domain, maxResults and tags
+// Queries from queriesFile (CSV or TXT) are appended to the inline ones
+// With locations and/or languages, every query is expanded into one search per market (location x language)
+let queries;
+try {
+    queries = normalizeQueries([
+        ...(input.queries || []),
+        ...(input.queriesFile ? loadQueriesFile(input.queriesFile) : [])
+    ], {
+        locations: input.locations?.length ? input.locations : [input.location],
+        languages: input.languages?.length ? input.languages : [input.language],
+        // The domain field (one domain or a comma-separated list) comes first, then the domains list
+        domain: [...parseDomainList(input.domain), ...(input.domains || [])],
+        maxResults: input.maxResults
+    });
+} catch (error) {
+    await exitWithInputError(error.message);
+}
 
 // Validate queries
-if (!queries || queries.length === 0) {
-    throw new Error('No queries provided. Please add at least one search query.');
+if (queries.length === 0) {
+    await exitWithInputError('No queries provided. Please add at least one search query.');
+}
+
+// Fail fast on locations and languages the API would reject or silently ignore
+for (const spec of queries) {
+    try {
+        resolveLocation(spec.location);
+        spec.language = normalizeLanguage(spec.language);
+        spec.market = createMarket(spec.location, spec.language);
+    } catch (error) {
+        await exitWithInputError(`Query "${spec.query}": ${error.message}`);
+    }
 }
 
-// Validate domain format if provided
-if (input.domain) {
-    const domainPattern = /^(?:www\.)?[a-zA-Z0-9][-a-zA-Z0-9]*(?:\.[a-zA-Z0-9][-a-zA-Z0-9]*)*$/;
-    if (!domainPattern.test(input.domain)) {
-        throw new Error('Invalid domain format. Use formats like: lkyurology.com, www.lkyurology.com, or lkyurology (no http://, https://, or paths)');
+// Advanced search parameters apply to every query; their label goes on every record so checks
+// with different parameters (e.g. past week vs. any time) can be told apart
+const searchParams = normalizeSearchParams(input);
+const searchParamsLabel = formatSearchParams(searchParams);
+if (searchParamsLabel) {
+    if (!SEARCH_PARAM_MODES.includes(mode)) {
+        await exitWithInputError(`Search parameters (timeRange, autocorrect, safeSearch, sites, excludeSites, excludeTerms) are not supported in ${mode} mode. Supported modes: ${SEARCH_PARAM_MODES.join(', ')}`);
     }
+    console.log('Search parameters:', searchParamsLabel);
 }
 
-const maxResults = input.maxResults ?? 500;
-const searchOptions = {
-    location: input.location || 'Singapore',
-    language: input.language || 'en',
-    maxResults: maxResults
-};
+// Runs covering several markets keep the market in output file names so same-keyword files don't collide
+const isMarketMatrix = new Set(queries.map(spec => spec.market)).size > 1;
 
-// Handle unlimited results (0 means unlimited)
-const isUnlimited = maxResults === 0;
+// Scan the full checked depth and report every matching URL instead of stopping at the first match
+const { findAllMatches } = input;
 
+// How tracked domains are matched against result URLs
+const { matchStrategy } = input;
+
+// Collect each query's tracked domains (our domain first, then competitors) and validate their format
+for (const spec of queries) {
+    spec.trackedDomains = parseDomainList(spec.domain);
+    for (const domain of spec.trackedDomains) {
+        const target = parseTrackTarget(domain);
+        if (target.type !== 'domain') {
+            // Place ID and business name targets only exist on business listings
+            if (!isListingMode) {
+                await exitWithInputError(`Tracking target "${domain}" is only supported in maps and places mode. Use a plain domain in ${mode} mode.`);
+            }
+            if (!target.value) {
+                await exitWithInputError(`Tracking target "${domain}" is missing a value after "${target.type}:".`);
+            }
+            continue;
+        }
+        try {
+            validateMatchTarget(domain, matchStrategy);
+        } catch (error) {
+            await exitWithInputError(`Query "${spec.query}": ${error.message}`);
+        }
+    }
+}
+const isDomainMode = queries.some(spec => spec.trackedDomains.length > 0);
+if (isDomainMode && !provider.supportsDomainTracking()) {
+    await exitWithInputError(`Domain tracking is not supported in ${mode} mode because its results have no source URL. Remove the tracked domains or use another mode.`);
+}
+
+// Geo-grid mode: run each Maps query at every point of a grid around a center coordinate
+let geoGrid = null;
+if (input.gridCenter) {
+    if (mode !== 'maps') {
+        await exitWithInputError('Geo-grid tracking (gridCenter) is only supported in maps mode.');
+    }
+    const untracked = queries.find(spec => spec.trackedDomains.length === 0);
+    if (untracked) {
+        await exitWithInputError(`Geo-grid tracking needs at least one domain, cid:, placeId: or name: target to track (missing for "${untracked.query}").`);
+    }
+    geoGrid = {
+        center: parseCoordinate(input.gridCenter),
+        gridSize: input.gridSize,
+        radiusKm: input.gridRadiusMeters / 1000,
+        zoom: input.gridZoom
+    };
+}
+
+// Dry run: print the worst-case credit cost of the run and stop before any request is sent
+if (isDryRun) {
+    const estimate = estimateCredits(queries, {
+        resultsPerPage: primaryProvider.getResultsPerPage(),
+        paginated: primaryProvider.isPaginated(),
+        creditsPerRequest: primaryProvider.getCreditsPerRequest(),
+        locationsPerSearch: geoGrid ? geoGrid.gridSize * geoGrid.gridSize : 1
+    });
+    console.log('Dry run credit estimate (worst case, retries not included):', {
+        provider: primaryProvider.getName(),
+        ...estimate,
+        maxCredits: creditMeter.maxCredits
+    });
+    if (estimate.unboundedSearches > 0) {
+        console.log(`${estimate.unboundedSearches} searches have unlimited maxResults (0), so their cost has no upper bound.`);
+    }
+    if (creditMeter.maxCredits && estimate.credits > creditMeter.maxCredits) {
+        console.log(`The estimate exceeds maxCredits; the run would stop once ${creditMeter.maxCredits} credits are used.`);
+    }
+    if (Actor) {
+        await Actor.setValue('CREDIT_ESTIMATE', estimate);
+        await Actor.exit();
+    }
+    process.exit(0);
+}
+
+// Resume from the state of an interrupted run: the ACTOR_STATE record on the Apify platform, a checkpoint file
+// in outputDir otherwise (local Apify SDK runs purge their key-value store on start, so they use the file too)
+// The state is only applied when it was saved for the same input, since it refers to searches by index
+const checkpoint = Actor?.isAtHome() ? null : new Checkpoint(path.join(outputDir, 'checkpoint.json'));
+actorState.fingerprint = createInputFingerprint(queries, { mode, searchParams: searchParamsLabel, geoGrid });
+const previousState = checkpoint ? checkpoint.load() : await Actor.getValue('ACTOR_STATE');
+if (previousState && previousState.fingerprint !== actorState.fingerprint) {
+    console.warn('Ignoring saved run state: it was saved for a different input (queries, locations, domains or mode).');
+} else if (previousState) {
+    actorState = { ...actorState, ...previousState };
+    console.log(`Resuming from saved run state: ${actorState.completedQueryIndexes.length} of ${queries.length} searches already done.`);
+}
+
+// Rank history persists across runs so each rank record can be compared with the previous check
+const rankHistory = isDomainMode ? new RankHistory(input.historyFile || path.join(outputDir, 'rank-history.jsonl')) : null;
+
+// Consolidated per-run output files, one set per record kind (the kind decides the CSV columns)
+const runExporter = new RunExporter({
+    outputDir,
+    formats: input.outputFormats
+});
+
+// Run summary with totals and a per-market rank table for each keyword
+// A resumed run starts from the rank table and credit usage saved before the interruption
+const runSummary = new RunSummary({ runId: runExporter.runId, startTime: actorState.startTime });
+if (actorState.runSummary) {
+    runSummary.restore(actorState.runSummary);
+}
+const creditsBeforeResume = actorState.runCredits || { used: 0, requests: 0 };
+
+
+// Set once the run has finished and its saved state has been cleared or kept for good
+let isStateFinal = false;
 
 // Set up actor persistence event listeners
 if (Actor) {
@@ -105,17 +346,17 @@ if (Actor) {
     Actor.on('migrating', async (data) => {
         actorState.migrationCount++;
         actorState.lastMigration = new Date().toISOString();
-        await Actor.setValue('ACTOR_STATE', actorState);
+        await saveState();
     });
 
     // Listen for periodic state persistence
     Actor.on('persistState', async (data) => {
-        await Actor.setValue('ACTOR_STATE', actorState);
+        await saveState();
     });
 
     // Listen for abort events
     Actor.on('aborting', async () => {
-        await Actor.setValue('ACTOR_STATE', actorState);
+        await saveState();
     });
 
     // Listen for CPU info events
@@ -125,113 +366,349 @@ if (Actor) {
 
 }
 
+// Standalone runs stop gracefully on Ctrl+C (SIGINT) or SIGTERM: no new searches start, searches in progress are
+// abandoned after their current request, and the checkpoint, output files and a partial run summary are still written
+// A second signal stops immediately; the checkpoint saved after the last finished search still allows resuming
+let stopSignal = null;
+if (checkpoint) {
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, handleStopSignal);
+    }
+}
+
+
+// Process queries in a pool; pages within a query stay in order and the shared limiter paces requests
+const completedQueryIndexes = new Set(actorState.completedQueryIndexes);
+const remainingQueryIndexes = queries.map((_, index) => index).filter(index => !completedQueryIndexes.has(index));
+// Searches not started because the credit budget was used up or the run was stopped, or refused part-way
+// because the budget or the API keys ran out
+const skippedQueryIndexes = [];
+// Searches in progress when the run was stopped; like skipped searches, they run again on resume
+const abandonedQueryIndexes = [];
+console.log(`Starting to process ${queries.length} searches (${remainingQueryIndexes.length} remaining, concurrency ${concurrency})...`);
+await runPool(remainingQueryIndexes, concurrency, processQuery);
+
+
+if (responseCache) {
+    console.log(`Response cache: ${responseCache.hits} hits, ${responseCache.misses} misses`);
+}
+console.log(`API usage: ${creditMeter.requests} requests, ${creditMeter.used} credits${creditMeter.maxCredits ? ` of ${creditMeter.maxCredits}` : ''}`);
+const keyUsage = providerChain.flatMap(chainProvider => (chainProvider.keyPool ? chainProvider.keyPool.getSummary() : []));
+for (const usage of keyUsage) {
+    const status = usage.status === 'exhausted' ? `, exhausted (${usage.reason})` : '';
+    console.log(`  ${usage.provider} ${usage.key}: ${usage.requests} requests, ${usage.credits} credits${status}`);
+}
+if (stopSignal) {
+    console.log(`Run stopped by ${stopSignal}: ${abandonedQueryIndexes.length} searches in progress were abandoned and ${skippedQueryIndexes.length} were not started. Run again with the same input to resume.`);
+} else if (skippedQueryIndexes.length > 0) {
+    console.log(`Credit budget or API keys used up: ${skippedQueryIndexes.length} searches were skipped. Run again with the same input and more credits or new keys to resume.`);
+}
+
+// Finish the consolidated output files so they are complete and valid
+await runExporter.close();
+for (const filePath of runExporter.getFilePaths()) {
+    console.log(`Consolidated output written to ${filePath}`);
+}
+
+// Print and save the run summary
+const summary = runSummary.build({
+    queries: new Set(queries.map(spec => spec.query)).size,
+    searches: queries.length,
+    totalResults: actorState.totalResults,
+    completedSearches: actorState.completedQueryIndexes.length,
+    skippedSearches: skippedQueryIndexes.length,
+    abandonedSearches: abandonedQueryIndexes.length,
+    stoppedBy: stopSignal,
+    credits: creditMeter.getSummary(),
+    runCredits: getRunCredits(),
+    apiKeys: keyUsage
+});
+const rankTables = runSummary.formatRankTables();
+if (rankTables) {
+    console.log(`\n${rankTables}\n`);
+}
+console.log(`Run summary written to ${runSummary.save(summary, outputDir)}`);
+if (Actor) {
+    await Actor.setValue('RUN_SUMMARY', summary);
+}
+
+// Clear the saved state on completion; skipped or abandoned searches keep it, so a rerun picks them up
+// A stopped run saves it once more with the partial summary, so the resumed run's summary covers the whole run
+// Later persistState events (e.g. the one Actor.exit() emits) must not write it back
+const isRunComplete = skippedQueryIndexes.length === 0 && abandonedQueryIndexes.length === 0;
+if (!isRunComplete) {
+    await saveState();
+}
+isStateFinal = true;
+if (isRunComplete) {
+    if (checkpoint) {
+        checkpoint.clear();
+    } else {
+        await Actor.setValue('ACTOR_STATE', null);
+    }
+}
+
+// Exit with the conventional code of an interrupted process when stopped by a signal
+const exitCode = stopSignal ? 130 : 0;
+if (Actor) {
+    await Actor.exit({ exitCode });
+}
+process.exitCode = exitCode;
+
+// Helper functions
+/**
+ * Stop the run gracefully on the first SIGINT or SIGTERM, immediately on the second
+ * @param {string} signal - Name of the signal received
+ */
+function handleStopSignal(signal) {
+    if (stopSignal) {
+        console.log(`Received ${signal} again. Stopping immediately.`);
+        process.exit(130);
+    }
+    stopSignal = signal;
+    console.log(`Received ${signal}. Finishing the requests in progress, then saving the checkpoint and run summary (press Ctrl+C again to stop immediately)...`);
+}
+
+/**
+ * Get the run input: the Apify input when running as an Actor with input, otherwise the parsed command line
+ * @param {Object} commandLine - Parsed command line from parseCommandLine()
+ * @returns {Promise<Object>} - Run input
+ */
+async function getInput(commandLine) {
+    // First, check if running on Apify
+    if (Actor) {
+        try {
+            console.log('Initializing Apify Actor...');
+            await Actor.init();
+            console.log('Apify Actor initialized successfully');
+            
+            console.log('Getting input from Apify...');
+            const apifyInput = await Actor.getInput();
+            console.log('Apify input received:', apifyInput ? 'Yes' : 'No');
+            
+            if (apifyInput) {
+                return apifyInput;
+            }
+        } catch (error) {
+            console.error('Error initializing Apify Actor:', error.message);
+            throw error;
+        }
+    }
+
+    return commandLine.input;
+}
+
+/**
+ * Process a single query: paginate, match tracked domains or save pages, and record its state
+ * @param {number} queryIndex - Index of the query in the input
+ */
+async function processQuery(queryIndex) {
+    const spec = queries[queryIndex];
+    const { query, trackedDomains } = spec;
+
+    // Once the run is stopped or the credit budget is spent, remaining searches are skipped instead of failing one by one
+    if (stopSignal || creditMeter.isExhausted()) {
+        if (!stopSignal && skippedQueryIndexes.length === 0) {
+            console.log(`Credit budget of ${creditMeter.maxCredits} reached. Skipping the remaining searches.`);
+        }
+        skippedQueryIndexes.push(queryIndex);
+        return;
+    }
+
+    console.log(`Processing query ${queryIndex + 1}/${queries.length}: "${query}" in ${spec.market}`);
+
+    // Geo-grid mode runs the query once per grid point and writes one grid record per tracked target
+    if (geoGrid) {
+        let gridStats;
+        try {
+            gridStats = await processGeoGridQuery(spec);
+        } catch (error) {
+            // Grid points catch their own errors, so only a refused request gets here
+            skipRefusedQuery(queryIndex, error);
+            return;
+        }
+        if (!gridStats) {
+            abandonedQueryIndexes.push(queryIndex);
+            return;
+        }
+        actorState.processedQueries.push({
+            queryIndex: queryIndex,
+            query: query,
+            market: spec.market,
+            totalResults: gridStats.totalResults,
+            pageCount: gridStats.pageCount,
+            gridPoints: gridStats.gridPoints,
+            completedAt: new Date().toISOString()
+        });
+        actorState.totalResults += gridStats.totalResults;
+        markQueryDone(queryIndex);
+        await saveState();
+        return;
+    }
+
+    const isDomainQuery = trackedDomains.length > 0;
+    const isUnlimited = spec.maxResults === 0;
+
+    // Track which domains are still unmatched for this query
+    // With findAllMatches, domains stay pending so the full depth is scanned and every matching URL is collected
+    const pendingDomains = new Set(trackedDomains);
+    const allMatchesByDomain = new Map(trackedDomains.map(domain => [domain, []]));
+    // Rank records of domains found so far; they are only emitted once the query is done, so an abandoned
+    // or refused query that runs again on resume doesn't report them twice
+    const foundRankRecords = [];
+
+    // Results and pages successfully checked so far, kept outside the try block for error records
+    let totalResults = 0;
+    let pageCount = 0;
+    // Provider that served the latest page (differs from the primary after a failover)
+    let servedBy = null;
 
-// Process each query
-console.log(`Starting to process ${queries.length} queries...`);
-for (let queryIndex = actorState.currentQueryIndex; queryIndex < queries.length; queryIndex++) {
-    const query = queries[queryIndex];
-    console.log(`Processing query ${queryIndex + 1}/${queries.length}: "${query}"`);
-    
-    // Update current query index in state
-    actorState.currentQueryIndex = queryIndex;
-    
     try {
-        let totalResults = 0;
-        let pageCount = 0;
-        
-        // Track domain match state per query
-        let domainFound = false;
+        // Error reported by the provider as an error page instead of a thrown exception
+        let pageError = null;
+        // Set when the run is stopped while this query is still paginating
+        let isAbandoned = false;
 
         console.log(`Processing query: "${query}"`);
         
         // Get paginated results
-        for await (const result of provider.getPaginatedResults(query, searchOptions)) {
+        for await (const result of provider.getPaginatedResults(query, createSearchOptions(spec))) {
+            const timestamp = new Date().toISOString();
+            servedBy = result.provider;
+
+            if (result.error) {
+                console.log(`${timestamp}   Page ${result.page}: provider error - ${result.error}`);
+                pageError = result.error;
+                if (!isDomainQuery) {
+                    // No domain filtering: keep the error page in the per-page output
+                    await saveResultsToFile(result.items, spec, result.page, outputDir, null, servedBy);
+                }
+                break;
+            }
+
             pageCount++;
             totalResults += result.items.length;
-            const timestamp = new Date().toISOString();
-            console.log(`${timestamp}   Page ${pageCount}: ${result.items.length} results (Total: ${totalResults}/${maxResults})`);
+            console.log(`${timestamp}   Page ${pageCount}: ${result.items.length} results (Total: ${totalResults}/${spec.maxResults})`);
             
             // Log individual items on the page
             console.log(`${timestamp}     Items on page ${pageCount}:`);
             result.items.forEach((item, index) => {
-                const domain = extractHostname(item.link);
+                // Maps listings carry the business website instead of a result link
+                const domain = extractHostname(item.link || item.website || '');
                 const title = item.title.length > 50 ? item.title.substring(0, 50) + '...' : item.title;
                 console.log(`${timestamp}       [${index + 1}] Pos ${item.position}: ${domain} - ${title}`);
             });
             
-            // If domain filtering is enabled, try to find the first occurrence and early-stop.
-            // When domain is specified, skip saving per-page files to keep exactly one JSON per query.
-            if (input.domain) {
-                console.log(`${timestamp}     Checking for domain match: "${input.domain}"`);
-                const targetDomain = normalizeDomain(input.domain);
-                const match = findFirstDomainMatch(result.items, input.domain);
-                if (match) {
-                    console.log(`${timestamp}     ✓ Domain match found at position ${match.position}: ${match.link}`);
-                    // Check if we've reached or exceeded max results
-                    const hasReachedMaxResults = !isUnlimited && totalResults >= maxResults;
-                    const matchData = await saveDomainMatchSummary(query, input.domain, match, outputDir, hasReachedMaxResults, maxResults);
-                    // Push to Apify dataset if available
-                    if (Actor) {
-                        await Actor.pushData(matchData);
+            // If domain filtering is enabled, look for the first occurrence of every tracked domain
+            // and early-stop once all of them are found. The same pages are reused for all domains.
+            // When domain is specified, skip saving per-page files to keep exactly one JSON per query and domain.
+            if (isDomainQuery && findAllMatches) {
+                for (const domain of trackedDomains) {
+                    const matches = findTargetMatches(result.items, domain);
+                    allMatchesByDomain.get(domain).push(...matches);
+                    for (const match of matches) {
+                        console.log(`${timestamp}     ✓ "${domain}" ranks at position ${match.position} (${match.matchType} by ${match.matchedBy}): ${match.link || match.title}`);
+                    }
+                }
+            } else if (isDomainQuery) {
+                for (const domain of [...pendingDomains]) {
+                    console.log(`${timestamp}     Checking for domain match: "${domain}"`);
+                    const match = findFirstTargetMatch(result.items, domain);
+                    if (match) {
+                        console.log(`${timestamp}     ✓ Match found at position ${match.position} (${match.matchType} by ${match.matchedBy}): ${match.link || match.title}`);
+                        foundRankRecords.push(createRankRecord(spec, domain, {
+                            status: 'found',
+                            match,
+                            depthChecked: totalResults,
+                            pagesFetched: pageCount,
+                            provider: servedBy
+                        }));
+                        pendingDomains.delete(domain);
+                    } else {
+                        console.log(`${timestamp}     ✗ No match for "${domain}" on this page`);
                     }
-                    domainFound = true;
+                }
+
+                if (pendingDomains.size === 0) {
                     break;
-                } else {
-                    console.log(`${timestamp}     ✗ No domain match found on this page`);
                 }
             } else {
-                // No domain filtering: store results per page
-                await saveResultsToFile(result.items, query, result.page, outputDir);
+                // No domain filtering: store results and SERP features per page
+                await saveResultsToFile(result.items, spec, result.page, outputDir, result.features, servedBy);
             }
             
             // Check if we've reached the max results limit (skip if unlimited)
-            if (!isUnlimited && totalResults >= maxResults) {
+            if (!isUnlimited && totalResults >= spec.maxResults) {
                 break;
             }
-            
-            // Add small delay between pages to be respectful
-            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            // Stop requested: keep the page just fetched but don't request the next one
+            if (stopSignal) {
+                isAbandoned = true;
+                break;
+            }
+        }
+
+        // An abandoned query is not marked done and its rank records are dropped; it runs again on resume
+        if (isAbandoned) {
+            console.log(`Abandoned query "${query}" after ${pageCount} pages because the run is stopping`);
+            abandonedQueryIndexes.push(queryIndex);
+            return;
         }
         
-        // If domain mode was enabled and no match found across all pages, save a single not-found summary
-        if (input.domain) {
-            if (!domainFound) {
-                // If we got results but domain wasn't found, or if we got no results at all
-                // In both cases, mark as ">maxResults" since domain wasn't found in the checked range
-                const reachedMaxResults = !isUnlimited && (totalResults >= maxResults || totalResults === 0);
-                const noMatchData = await saveDomainNoMatchSummary(query, input.domain, outputDir, reachedMaxResults, maxResults);
-                // Push to Apify dataset if available
-                if (Actor) {
-                    await Actor.pushData(noMatchData);
-                }
+        // If domain mode was enabled, save the rank records of the found domains and of every domain still pending
+        if (isDomainQuery) {
+            await emitRankRecords(foundRankRecords);
+            let status = 'not_found';
+            if (pageError) {
+                status = 'error';
+            } else if (totalResults === 0) {
+                status = 'no_results';
             }
-        } else {
+            await emitPendingRankRecords(spec, pendingDomains, allMatchesByDomain, {
+                status,
+                depthChecked: totalResults,
+                pagesFetched: pageCount,
+                errorMessage: pageError,
+                provider: servedBy
+            });
         }
         
         // Update actor state with completed query
         actorState.processedQueries.push({
+            queryIndex: queryIndex,
             query: query,
+            market: spec.market,
             totalResults: totalResults,
             pageCount: pageCount,
+            ...(pageError ? { error: pageError } : {}),
             completedAt: new Date().toISOString()
         });
         actorState.totalResults += totalResults;
+        markQueryDone(queryIndex);
         
         // Save state after each query completion
-        if (Actor) {
-            await Actor.setValue('ACTOR_STATE', actorState);
-        }
+        await saveState();
         
         
     } catch (error) {
+        if (isRequestRefused(error)) {
+            skipRefusedQuery(queryIndex, error);
+            return;
+        }
+
         console.error(`Error processing query "${query}":`, error.message);
         
-        // If domain filtering is enabled, save a not-found summary with >maxResults
-        if (input.domain) {
-            const noMatchData = await saveDomainNoMatchSummary(query, input.domain, outputDir, true, maxResults);
-            if (Actor) {
-                await Actor.pushData(noMatchData);
-            }
+        // If domain filtering is enabled, save the found domains and an error rank record for each domain not yet matched
+        if (isDomainQuery) {
+            await emitRankRecords(foundRankRecords);
+            await emitPendingRankRecords(spec, pendingDomains, allMatchesByDomain, {
+                status: 'error',
+                depthChecked: totalResults,
+                pagesFetched: pageCount,
+                errorMessage: error.message,
+                provider: servedBy
+            });
         } else {
             // Store error result for non-domain queries
             await saveResultsToFile([{
@@ -242,151 +719,133 @@ for (let queryIndex = actorState.currentQueryIndex; queryIndex < queries.length;
                 query: query,
                 page: 0,
                 error: error.message
-            }], query, 0, outputDir);
+            }], spec, 0, outputDir);
         }
         
         // Update actor state with error
         actorState.processedQueries.push({
+            queryIndex: queryIndex,
             query: query,
+            market: spec.market,
             error: error.message,
             failedAt: new Date().toISOString()
         });
+        markQueryDone(queryIndex);
         
         // Save state after error
-        if (Actor) {
-            await Actor.setValue('ACTOR_STATE', actorState);
-        }
+        await saveState();
     }
 }
 
-
-// Clear actor state on successful completion
-if (Actor) {
-    await Actor.setValue('ACTOR_STATE', null);
-    await Actor.exit();
+/**
+ * Skip a search refused part-way because the credit budget is used up or no API key is left: it gets no error
+ * record and is not marked done, so a resumed run with more credits or new keys searches it again
+ * @param {number} queryIndex - Index of the query in the input
+ * @param {Error} error - Refusal from the credit meter or the key pool
+ */
+function skipRefusedQuery(queryIndex, error) {
+    console.log(`Skipped query "${queries[queryIndex].query}" in ${queries[queryIndex].market}: ${error.message}. It runs again on resume.`);
+    skippedQueryIndexes.push(queryIndex);
 }
 
-// Helper functions
-async function getInput() {
-    // First, check if running on Apify
-    if (Actor) {
-        try {
-            console.log('Initializing Apify Actor...');
-            await Actor.init();
-            console.log('Apify Actor initialized successfully');
-            
-            console.log('Getting input from Apify...');
-            const apifyInput = await Actor.getInput();
-            console.log('Apify input received:', apifyInput ? 'Yes' : 'No');
-            
-            if (apifyInput) {
-                return apifyInput;
-            }
-        } catch (error) {
-            console.error('Error initializing Apify Actor:', error.message);
-            throw error;
-        }
+/**
+ * Report invalid input without a stack trace and stop the run with exit code 1
+ * On the Apify platform the run fails with the message as its status
+ * @param {string} message - Error message, e.g. the field errors from validateInput()
+ */
+async function exitWithInputError(message) {
+    if (Actor?.isAtHome()) {
+        await Actor.fail(message);
     }
-    
-    // Try to get input from command line arguments
-    const args = process.argv.slice(2);
-    
-    if (args.length > 0) {
-        // Simple command line input parsing
-        const input = {
-            queries: [],
-            provider: 'serper',
-            mode: 'search',
-            maxResults: 500,
-            location: 'Singapore',
-            language: 'en'
-        };
-        
-        for (let i = 0; i < args.length; i++) {
-            switch (args[i]) {
-                case '--query':
-                case '-q':
-                    input.queries.push(args[++i]);
-                    break;
-                case '--domain':
-                    input.domain = args[++i];
-                    break;
-                case '--provider':
-                case '-p':
-                    input.provider = args[++i];
-                    break;
-                case '--mode':
-                case '-m':
-                    input.mode = args[++i];
-                    break;
-                case '--max-results':
-                case '-r':
-                    input.maxResults = parseInt(args[++i]);
-                    break;
-                case '--location':
-                case '-l':
-                    input.location = args[++i];
-                    break;
-                case '--language':
-                    input.language = args[++i];
-                    break;
-                case '--output':
-                case '-o':
-                    input.outputDir = args[++i];
-                    break;
-                case '--provider-key':
-                case '-k':
-                    input.providerKey = args[++i];
-                    break;
-                case '--debug-migration':
-                    input.debugMigration = args[++i] === 'true';
-                    break;
-                case '--test-migration-after-seconds':
-                    input.testMigrationAfterSeconds = parseInt(args[++i]);
-                    break;
-            }
-        }
-        
-        return input;
+    console.error(`${message}\nRun "node src/main.js --help" for usage.`);
+    process.exit(1);
+}
+
+/**
+ * Persist the run state so an interrupted run can resume
+ * On the Apify platform it goes to the ACTOR_STATE record, otherwise to the checkpoint file
+ */
+async function saveState() {
+    if (isStateFinal) return;
+    actorState.runSummary = runSummary.getState();
+    actorState.runCredits = getRunCredits();
+    if (checkpoint) {
+        checkpoint.save(actorState);
+    } else {
+        await Actor.setValue('ACTOR_STATE', actorState);
     }
-    
-    // Try to load from config file
-    const configPath = './config.json';
-    if (fs.existsSync(configPath)) {
-        try {
-            const configData = fs.readFileSync(configPath, 'utf8');
-            return JSON.parse(configData);
-        } catch (error) {
-            console.error('Error reading config file:', error.message);
-        }
+}
+
+/**
+ * Get the credits and requests of the whole run, including the sessions before a resume
+ * @returns {Object} - { used, requests }
+ */
+function getRunCredits() {
+    return {
+        used: creditsBeforeResume.used + creditMeter.used,
+        requests: creditsBeforeResume.requests + creditMeter.requests
+    };
+}
+
+/**
+ * Mark a query as done in the actor state so it is skipped on resume
+ * @param {number} queryIndex - Index of the query in the input
+ */
+function markQueryDone(queryIndex) {
+    if (!actorState.completedQueryIndexes.includes(queryIndex)) {
+        actorState.completedQueryIndexes.push(queryIndex);
     }
-    
-    // Return default config if no input found
+}
+
+/**
+ * Build the provider search options for a query
+ * @param {Object} spec - Query spec from normalizeQueries()
+ * @returns {Object} - { location, language, maxResults, searchParams }
+ */
+function createSearchOptions(spec) {
     return {
-        queries: [],
-        provider: 'serper',
-        mode: 'search',
-        maxResults: 500,
-        location: 'Singapore',
-        language: 'en',
-        outputDir: './output'
+        location: spec.location,
+        language: spec.language,
+        maxResults: spec.maxResults,
+        searchParams
     };
 }
 
-async function saveResultsToFile(items, query, page, outputDir) {
+/**
+ * Save a page of results as a JSON file and export and push every item
+ * @param {Array<Object>} items - Normalized result items
+ * @param {Object} spec - Query spec from normalizeQueries()
+ * @param {number} page - Page number
+ * @param {string} dir - Output directory
+ * @param {Object} [features] - SERP features of the page
+ * @param {string} [servedBy] - Name of the provider that served the page
+ */
+async function saveResultsToFile(items, spec, page, dir, features = null, servedBy = null) {
+    const { query, tags } = spec;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${query.replace(/[^a-zA-Z0-9]/g, '_')}_page_${page}_${timestamp}.json`;
-    const filepath = path.join(outputDir, filename);
+    const filename = `${toSafeQueryName(query, spec.market)}_page_${page}_${timestamp}.json`;
+    const filepath = path.join(dir, filename);
     
     const data = {
         query: query,
         page: page,
+        location: spec.location,
+        language: spec.language,
+        market: spec.market,
+        searchParams: searchParamsLabel,
+        tags: tags,
+        provider: servedBy,
         timestamp: new Date().toISOString(),
-        items: items
+        items: items,
+        // SERP features (answer box, People Also Ask, ads, local pack, ...) when the provider returns them
+        ...(features ? { features } : {})
     };
     
     // Save to file system
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    if (runExporter.writesJsonFiles()) {
+        fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    }
+    runExporter.write(mode, items.map(item => ({ ...item, query: query, page: page, market: spec.market, searchParams: searchParamsLabel, tags: tags, provider: servedBy, timestamp: data.timestamp })));
     
     // Push each item to Apify dataset if available
     if (Actor) {
@@ -394,6 +853,10 @@ async function saveResultsToFile(items, query, page, outputDir) {
             await Actor.pushData({
                 query: query,
                 page: page,
+                market: spec.market,
+                searchParams: searchParamsLabel,
+                tags: tags,
+                provider: servedBy,
                 timestamp: data.timestamp,
                 ...item
             });
@@ -401,101 +864,422 @@ async function saveResultsToFile(items, query, page, outputDir) {
     }
 }
 
-async function saveDomainNoMatchSummary(query, domain, outputDir, reachedMaxResults = false, maxResults = 60) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const safeQuery = query.replace(/[^a-zA-Z0-9]/g, '_');
-    const safeDomain = normalizeDomain(domain).replace(/[^a-zA-Z0-9.-]/g, '_');
-    const filename = `${safeQuery}_match_${safeDomain}_${timestamp}.json`;
-    const filepath = path.join(outputDir, filename);
-    
-    // If we reached max results without finding the domain, show ">maxResults" instead of null
-    const rankValue = reachedMaxResults ? `>${maxResults}` : '>60';
-    
-    const data = {
-        keyword: query,
-        domain: domain,
-        link: null,
-        title: null,
-        rank: rankValue,
-        timestamp: new Date().toISOString()
-    };
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-    return data;
+/**
+ * Parse the domain input into a list of domains to track
+ * Accepts a single domain, a comma-separated string, or an array of domains
+ * @param {string|Array<string>} domainInput - Domain input
+ * @returns {Array<string>} - Unique, trimmed domains in input order
+ */
+function parseDomainList(domainInput) {
+    if (!domainInput) return [];
+    const list = Array.isArray(domainInput) ? domainInput : String(domainInput).split(',');
+    const domains = list.map(domain => String(domain).trim()).filter(Boolean);
+    return [...new Set(domains)];
 }
 
-function extractHostname(url) {
-    try {
-        const { hostname } = new URL(url);
-        return hostname.replace(/^www\./i, '').toLowerCase();
-    } catch {
-        return '';
+/**
+ * Parse a list of API keys
+ * @param {Array<string>|string} [keyInput] - Keys as an array, or a comma-separated string (e.g. from PROVIDER_KEYS)
+ * @returns {Array<string>} - Trimmed, non-empty keys
+ */
+function parseKeyList(keyInput) {
+    if (!keyInput) return [];
+    const list = Array.isArray(keyInput) ? keyInput : String(keyInput).split(',');
+    const keys = list.filter(Boolean).map(key => String(key).trim()).filter(Boolean);
+    return [...new Set(keys)];
+}
+
+/**
+ * Create the key pool of a provider
+ * @param {Array<string>} keys - API keys
+ * @param {string} name - Provider the keys belong to (e.g. serper)
+ * @returns {KeyPool|null} - Key pool, or null without keys (offline runs)
+ */
+function createKeyPool(keys, name) {
+    if (keys.length === 0) return null;
+    if (keys.length > 1) {
+        console.log(`API keys: ${keys.length} ${name} keys in rotation`);
     }
+    return new KeyPool(keys, name);
 }
 
-function normalizeDomain(domain) {
-    if (!domain) return '';
-    try {
-        // Input validation ensures clean domains (no http://, https://, or paths)
-        // But handle URLs for backward compatibility
-        const parsed = domain.includes('://') ? new URL(domain) : new URL(`https://${domain}`);
-        return parsed.hostname.replace(/^www\./i, '').toLowerCase();
-    } catch {
-        // Fallback: just remove www. and lowercase
-        return domain.replace(/^www\./i, '').toLowerCase();
+/**
+ * Parse a tracking target entry
+ * Plain entries are domains; Maps listings can also be tracked with "cid:<id>", "placeId:<id>" or "name:<business name>"
+ * @param {string} entry - Tracking target entry
+ * @returns {Object} - Target with type (domain, cid, placeId or name) and value
+ */
+function parseTrackTarget(entry) {
+    const prefixMatch = /^(cid|placeid|name):(.*)$/i.exec(entry);
+    if (!prefixMatch) {
+        return { type: 'domain', value: entry };
+    }
+    const typeByPrefix = { cid: 'cid', placeid: 'placeId', name: 'name' };
+    return { type: typeByPrefix[prefixMatch[1].toLowerCase()], value: prefixMatch[2].trim() };
+}
+
+/**
+ * Turn a query into a file-name-safe string, including its market when the run covers several markets
+ * @param {string} query - Search query
+ * @param {string} market - Market label of the search
+ * @returns {string} - e.g. "urologist" or "urologist_Malaysia__en_"
+ */
+function toSafeQueryName(query, market) {
+    const name = isMarketMatrix ? `${query}_${market}` : query;
+    return name.replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+/**
+ * Turn a tracking target entry into a file-name-safe string
+ * @param {string} entry - Tracking target entry (see parseTrackTarget)
+ * @returns {string} - e.g. "lkyurology.com" or "cid_1234567890"
+ */
+function toSafeTargetName(entry) {
+    const target = parseTrackTarget(entry);
+    const name = target.type === 'domain' ? normalizeDomain(target.value) : `${target.type}_${target.value}`;
+    return name.replace(/[^a-zA-Z0-9.-]/g, '_');
+}
+
+/**
+ * Find the first result matching a tracking target
+ * @param {Array<Object>} items - Normalized result items
+ * @param {string} entry - Tracking target entry (see parseTrackTarget)
+ * @returns {Object|null} - Match with link, title, position and matchedBy, plus listing details for Maps items
+ */
+function findFirstTargetMatch(items, entry) {
+    return findTargetMatches(items, entry)[0] || null;
+}
+
+/**
+ * Find every result matching a tracking target, in SERP order
+ * @param {Array<Object>} items - Normalized result items
+ * @param {string} entry - Tracking target entry (see parseTrackTarget)
+ * @returns {Array<Object>} - Matches (see createMatch)
+ */
+function findTargetMatches(items, entry) {
+    const target = parseTrackTarget(entry);
+    if (target.type === 'domain') {
+        return findDomainMatches(items, target.value);
     }
+
+    // cid and placeId are both stable Google identifiers, so either prefix matches either field
+    const wanted = target.value.toLowerCase();
+    const matches = [];
+    for (const item of items) {
+        let matchedBy = null;
+        if (target.type === 'name') {
+            matchedBy = (item.title || '').trim().toLowerCase() === wanted ? 'name' : null;
+        } else if (String(item.cid || '').toLowerCase() === wanted) {
+            matchedBy = 'cid';
+        } else if (String(item.placeId || '').toLowerCase() === wanted) {
+            matchedBy = 'placeId';
+        }
+
+        if (matchedBy) {
+            matches.push(createMatch(item, matchedBy, matchedBy));
+        }
+    }
+    return matches;
+}
+
+/**
+ * Build a match object from a result item
+ * @param {Object} item - Normalized result item (search or maps)
+ * @param {string} matchedBy - What the item was matched by (link, website, cid, placeId or name)
+ * @param {string} matchType - How it matched (e.g. exact, subdomain, partial, regex, cid)
+ * @returns {Object} - Match
+ */
+function createMatch(item, matchedBy, matchType) {
+    const match = {
+        link: item.link || item.website || '',
+        title: item.title || '',
+        position: item.position || 0,
+        matchedBy: matchedBy,
+        matchType: matchType
+    };
+    // Listing details at the time of the check
+    if (isListingMode) {
+        match.rating = item.rating === '' ? null : (item.rating ?? null);
+        match.reviewCount = item.ratingCount === '' ? null : (item.ratingCount ?? null);
+        match.address = item.address || null;
+        match.cid = item.cid || null;
+        match.placeId = item.placeId || null;
+    }
+    return match;
 }
 
-function findFirstDomainMatch(items, domain) {
-    const target = normalizeDomain(domain);
-    if (!target) return null;
+/**
+ * Find every result whose link (or Maps website) matches a domain target
+ * @param {Array<Object>} items - Normalized result items
+ * @param {string} domain - Tracked domain, URL prefix or regular expression, depending on matchStrategy
+ * @returns {Array<Object>} - Matches with the match type reported by the strategy
+ */
+function findDomainMatches(items, domain) {
+    const matches = [];
     for (const item of items) {
-        const host = extractHostname(item.link || '');
-        
-        // Check for exact match
-        const exactMatch = host === target;
-        
-        // Check for subdomain match (e.g., sub.example.com matches example.com)
-        const subdomainMatch = host.endsWith(`.${target}`);
-        
-        // Check for partial word match (e.g., lkyurology matches lkyurology.com)
-        // Split both host and target by dots and check if target words are contained in host
-        const hostParts = host.split('.');
-        const targetParts = target.split('.');
-        const partialMatch = targetParts.every(targetPart => 
-            hostParts.some(hostPart => hostPart.includes(targetPart))
-        );
-        
-        if (exactMatch || subdomainMatch || partialMatch) {
-            let matchType = exactMatch ? 'exact' : (subdomainMatch ? 'subdomain' : 'partial');
-            return {
-                link: item.link || '',
-                title: item.title || '',
-                position: item.position || 0
-            };
+        // Maps listings carry the business website instead of a result link
+        const url = item.link || item.website || '';
+        const matchType = matchTarget(url, domain, matchStrategy);
+        if (matchType) {
+            matches.push(createMatch(item, item.link ? 'link' : 'website', matchType));
         }
     }
-    return null;
+    return matches;
 }
 
-async function saveDomainMatchSummary(query, domain, match, outputDir, hasReachedMaxResults = false, maxResults = 60) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const safeQuery = query.replace(/[^a-zA-Z0-9]/g, '_');
-    const safeDomain = normalizeDomain(domain).replace(/[^a-zA-Z0-9.-]/g, '_');
-    const filename = `${safeQuery}_match_${safeDomain}_${timestamp}.json`;
-    const filepath = path.join(outputDir, filename);
-    
-    // Format rank as ">maxResults" if we've reached the max results limit
-    const formattedRank = hasReachedMaxResults ? '>60' : match.position;
-    
-    const data = {
-        keyword: query,
+/**
+ * Build a structured rank record for a tracked domain
+ * @param {Object} spec - Query spec from normalizeQueries()
+ * @param {string} domain - Tracked domain
+ * @param {Object} details - Rank details
+ * @param {string} details.status - One of: found, not_found, error, no_results
+ * @param {Object} [details.match] - Match from findFirstTargetMatch() when status is found
+ * @param {number} details.depthChecked - Number of results checked before the search stopped
+ * @param {number} details.pagesFetched - Number of result pages fetched for the query
+ * @param {string} [details.errorMessage] - Error message when status is error
+ * @param {Array<Object>} [details.allMatches] - Every match within the checked depth (findAllMatches only)
+ * @param {string} [details.provider] - Name of the provider that served the last page checked
+ * @returns {Object} - Rank record
+ */
+function createRankRecord(spec, domain, { status, match = null, depthChecked, pagesFetched, errorMessage = null, allMatches = null, provider: servedBy = null }) {
+    return {
+        mode: mode,
+        keyword: spec.query,
         domain: domain,
-        link: match.link,
-        title: match.title,
-        rank: formattedRank,
+        location: spec.location,
+        language: spec.language,
+        market: spec.market,
+        searchParams: searchParamsLabel,
+        tags: spec.tags,
+        status: status,
+        position: match ? match.position : null,
+        link: match ? match.link : null,
+        title: match ? match.title : null,
+        matchedBy: match ? match.matchedBy : null,
+        matchStrategy: parseTrackTarget(domain).type === 'domain' ? matchStrategy : null,
+        matchType: match ? match.matchType : null,
+        depthChecked: depthChecked,
+        pagesFetched: pagesFetched,
+        maxResults: spec.maxResults,
+        errorMessage: errorMessage || null,
+        // Every URL the domain ranks with, to spot keyword cannibalization
+        ...(allMatches ? {
+            matchCount: allMatches.length,
+            cannibalization: new Set(allMatches.map(item => item.link)).size > 1,
+            matches: allMatches.map(item => ({
+                position: item.position,
+                link: item.link,
+                title: item.title,
+                matchType: item.matchType
+            }))
+        } : {}),
+        // Listing details at the time of the check
+        ...(isListingMode ? {
+            rating: match ? match.rating : null,
+            reviewCount: match ? match.reviewCount : null,
+            address: match ? match.address : null,
+            cid: match ? match.cid : null,
+            placeId: match ? match.placeId : null
+        } : {}),
+        provider: servedBy,
         timestamp: new Date().toISOString()
     };
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-    return data;
 }
 
+/**
+ * Emit rank records for the domains still pending when a query ends
+ * With findAllMatches, domains that matched anywhere within the checked depth are reported as found with all their URLs
+ * @param {Object} spec - Query spec from normalizeQueries()
+ * @param {Set<string>} pendingDomains - Domains without a rank record yet
+ * @param {Map<string, Array<Object>>} allMatchesByDomain - Matches collected per domain (findAllMatches only)
+ * @param {Object} details - Status, depthChecked, pagesFetched and errorMessage for domains without matches
+ */
+async function emitPendingRankRecords(spec, pendingDomains, allMatchesByDomain, details) {
+    for (const domain of pendingDomains) {
+        const allMatches = findAllMatches ? allMatchesByDomain.get(domain) : null;
+        const rankRecord = allMatches?.length
+            ? createRankRecord(spec, domain, { ...details, status: 'found', match: allMatches[0], allMatches })
+            : createRankRecord(spec, domain, { ...details, allMatches });
+        await emitRankRecord(rankRecord);
+    }
+}
+
+/**
+ * Emit the rank records of a completed query in order
+ * @param {Array<Object>} rankRecords - Rank records from createRankRecord()
+ */
+async function emitRankRecords(rankRecords) {
+    for (const rankRecord of rankRecords) {
+        await emitRankRecord(rankRecord);
+    }
+}
+
+/**
+ * Compare a rank record with the history, then save it and push it to the Apify dataset
+ * @param {Object} rankRecord - Rank record from createRankRecord()
+ * @returns {Promise<Object>} - Rank record with history deltas
+ */
+async function emitRankRecord(rankRecord) {
+    const trackedRecord = rankHistory.track(rankRecord);
+    await saveDomainRankSummary(trackedRecord, outputDir);
+    runSummary.track(trackedRecord);
+    // Push to Apify dataset if available
+    if (Actor) {
+        await Actor.pushData(trackedRecord);
+    }
+    return trackedRecord;
+}
+
+/**
+ * Run a Maps query at every geo-grid point and record the position of each tracked target
+ * Each point paginates on its own up to maxResults, stopping early once every target is found there
+ * @param {Object} spec - Query spec from normalizeQueries()
+ * @returns {Promise<Object|null>} - Totals for the actor state ({ totalResults, pageCount, gridPoints }), or null when the run was stopped
+ */
+async function processGeoGridQuery(spec) {
+    const { query, trackedDomains } = spec;
+    const isUnlimited = spec.maxResults === 0;
+    const points = buildGeoGrid(geoGrid);
+    const pointResultsByDomain = new Map(trackedDomains.map(domain => [domain, []]));
+    let totalResults = 0;
+    let pageCount = 0;
+    // Providers that served the grid's pages (more than one after a failover)
+    const servedBy = new Set();
+
+    console.log(`Running geo-grid ${geoGrid.gridSize}x${geoGrid.gridSize} (${geoGrid.radiusKm} km radius) for "${query}"`);
+
+    for (const point of points) {
+        // A grid is only reported complete, so a stopped run abandons it and reruns it on resume
+        if (stopSignal) {
+            console.log(`Abandoned geo-grid for "${query}" at point [${point.row},${point.col}] because the run is stopping`);
+            return null;
+        }
+
+        const pendingDomains = new Set(trackedDomains);
+        let pointResults = 0;
+        let pointError = null;
+
+        try {
+            for await (const result of provider.getPaginatedResults(query, { ...createSearchOptions(spec), ll: point.ll })) {
+                if (result.error) {
+                    pointError = result.error;
+                    break;
+                }
+
+                servedBy.add(result.provider);
+                pageCount++;
+                pointResults += result.items.length;
+
+                for (const domain of [...pendingDomains]) {
+                    const match = findFirstTargetMatch(result.items, domain);
+                    if (match) {
+                        pointResultsByDomain.get(domain).push({ ...pointSummary(point), position: match.position, status: 'found' });
+                        pendingDomains.delete(domain);
+                    }
+                }
+
+                if (pendingDomains.size === 0 || (!isUnlimited && pointResults >= spec.maxResults)) {
+                    break;
+                }
+            }
+        } catch (error) {
+            // A refused request leaves the grid incomplete, so it is skipped rather than reported with error points
+            if (isRequestRefused(error)) throw error;
+            pointError = error.message;
+        }
+
+        totalResults += pointResults;
+
+        let status = 'not_found';
+        if (pointError) {
+            status = 'error';
+        } else if (pointResults === 0) {
+            status = 'no_results';
+        }
+        for (const domain of pendingDomains) {
+            pointResultsByDomain.get(domain).push({ ...pointSummary(point), position: null, status, errorMessage: pointError });
+        }
+
+        console.log(`  Grid point [${point.row},${point.col}] ${point.ll}: ${pointResults} results checked${pointError ? ` (error: ${pointError})` : ''}`);
+    }
+
+    for (const [domain, pointResults] of pointResultsByDomain) {
+        const gridSummary = summarizeGrid(pointResults, geoGrid.gridSize);
+        const gridRecord = {
+            keyword: query,
+            domain: domain,
+            location: spec.location,
+            language: spec.language,
+            market: spec.market,
+            tags: spec.tags,
+            center: geoGrid.center,
+            radiusKm: geoGrid.radiusKm,
+            gridSize: geoGrid.gridSize,
+            zoom: geoGrid.zoom,
+            averageRank: gridSummary.averageRank,
+            foundPoints: gridSummary.foundPoints,
+            totalPoints: gridSummary.totalPoints,
+            matrix: gridSummary.matrix,
+            points: pointResults,
+            maxResults: spec.maxResults,
+            provider: [...servedBy].join(', ') || null,
+            timestamp: new Date().toISOString()
+        };
+
+        console.log(`  ${domain}: average rank ${gridSummary.averageRank ?? 'n/a'} (found at ${gridSummary.foundPoints}/${gridSummary.totalPoints} points)`);
+        await saveGeoGridSummary(gridRecord, outputDir);
+        runSummary.track(gridRecord);
+        if (Actor) {
+            await Actor.pushData(gridRecord);
+        }
+    }
+
+    return { totalResults, pageCount, gridPoints: points.length };
+}
+
+/**
+ * Pick the fields of a grid point that go into the output
+ * @param {Object} point - Grid point from buildGeoGrid()
+ * @returns {Object} - { row, col, lat, lng }
+ */
+function pointSummary(point) {
+    return { row: point.row, col: point.col, lat: point.lat, lng: point.lng };
+}
+
+/**
+ * Save a geo-grid record as one JSON file per query and tracked target
+ * @param {Object} gridRecord - Geo-grid record
+ * @param {string} dir - Output directory
+ * @returns {Promise<Object>} - The saved geo-grid record
+ */
+async function saveGeoGridSummary(gridRecord, dir) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safeQuery = toSafeQueryName(gridRecord.keyword, gridRecord.market);
+    const safeDomain = toSafeTargetName(gridRecord.domain);
+    const filename = `${safeQuery}_grid_${safeDomain}_${timestamp}.json`;
+    const filepath = path.join(dir, filename);
+    if (runExporter.writesJsonFiles()) {
+        fs.writeFileSync(filepath, JSON.stringify(gridRecord, null, 2));
+    }
+    runExporter.write('grid', [gridRecord]);
+    return gridRecord;
+}
+
+/**
+ * Save a domain rank record as one JSON file per query and domain
+ * @param {Object} rankRecord - Rank record from createRankRecord()
+ * @param {string} dir - Output directory
+ * @returns {Promise<Object>} - The saved rank record
+ */
+async function saveDomainRankSummary(rankRecord, dir) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safeQuery = toSafeQueryName(rankRecord.keyword, rankRecord.market);
+    const safeDomain = toSafeTargetName(rankRecord.domain);
+    const filename = `${safeQuery}_match_${safeDomain}_${timestamp}.json`;
+    const filepath = path.join(dir, filename);
+    if (runExporter.writesJsonFiles()) {
+        fs.writeFileSync(filepath, JSON.stringify(rankRecord, null, 2));
+    }
+    runExporter.write('rank', [rankRecord]);
+    return rankRecord;
+}
@@ -1,3 +1,6 @@
+import { isBudgetError } from '../credit-meter.js';
+import { getKeyErrorReason, isNoKeyLeftError } from './key-pool.js';
+
 /**
  * Base provider interface for SERP providers
  * All providers must implement these methods
@@ -5,6 +8,214 @@
 export class BaseProvider {
     constructor(config) {
         this.config = config;
+        this.rateLimiter = null;
+        this.creditMeter = null;
+        this.responseCache = config?.responseCache || null;
+        this.keyPool = config?.keyPool || null;
+        this.maxRetries = 3;
+        this.retryDelay = 1000; // 1 second
+    }
+
+    /**
+     * Fetch a raw response with retry logic
+     * Serves the response cache when possible; otherwise every attempt is charged, rate limited and sent
+     * through sendRequest() with the next key of the key pool
+     * @param {Object} request - Request body or query parameters (also the response cache key)
+     * @param {Object} context - Request context
+     * @param {string} context.query - Search query, for messages
+     * @param {number} context.page - 0-based page number, for messages
+     * @param {boolean} [context.bypassCache] - Skip a cached response (e.g. a cached empty page being retried)
+     * @returns {Promise<Object>} - Raw provider response
+     * @throws {Error} - When every attempt failed, or a request was refused by the credit budget or the key pool
+     */
+    async fetchWithRetries(request, { query, page, bypassCache = false }) {
+        const cached = this.readCachedResponse(request, { bypass: bypassCache });
+        if (cached) {
+            return cached;
+        }
+
+        let lastError;
+
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            // Every attempt is billed; a request refused by the credit budget or the key pool ends the search without retrying
+            this.chargeRequest();
+
+            try {
+                await this.waitForRateLimit();
+
+                const data = await this.sendWithKey(apiKey => this.sendRequest(request, apiKey));
+                this.cacheResponse(request, data);
+                return data;
+
+            } catch (error) {
+                // A resend with the next key can be refused too (see sendWithKey())
+                if (isRequestRefused(error)) throw error;
+
+                lastError = error;
+                const isTimeout = error.name === 'AbortError';
+                const errorMsg = isTimeout ? 'Request timeout (30s)' : error.message;
+                console.warn(`Attempt ${attempt}/${this.maxRetries} failed for ${this.getMode()} query "${query}", page ${page}:`, errorMsg);
+
+                if (attempt < this.maxRetries) {
+                    await this.delay(this.retryDelay * attempt); // Exponential backoff
+                }
+            }
+        }
+
+        // All retries failed
+        throw new Error(`Failed to fetch ${this.getMode()} results for query "${query}", page ${page} after ${this.maxRetries} attempts. Last error: ${lastError.message}`);
+    }
+
+    /**
+     * Send a single API request
+     * Implemented by providers that fetch through fetchWithRetries()
+     * @returns {Promise<Object>} - Raw provider response
+     * @throws {Error} - "HTTP <status>: <body>" for non-2xx responses
+     */
+    async sendRequest() {
+        throw new Error('sendRequest() method must be implemented by provider');
+    }
+
+    /**
+     * Delay execution
+     * @param {number} ms - Milliseconds to delay
+     * @returns {Promise} - Promise that resolves after delay
+     */
+    delay(ms) {
+        return new Promise((resolve) => {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    /**
+     * Get the namespace used to key cached responses of this provider
+     * @returns {string} - Cache namespace
+     */
+    getCacheNamespace() {
+        return this.getName();
+    }
+
+    /**
+     * Read a raw response from the response cache
+     * @param {Object} requestBody - Full request body
+     * @param {Object} [options] - Read options
+     * @param {boolean} [options.bypass] - Skip the cache for this read (not in only-cache mode)
+     * @returns {Object|null} - Raw response, or null when the API should be called
+     */
+    readCachedResponse(requestBody, { bypass = false } = {}) {
+        if (!this.responseCache) return null;
+
+        const cached = this.responseCache.get(this.getCacheNamespace(), requestBody, { bypass });
+        if (!cached && this.responseCache.isOffline()) {
+            throw new Error(`No cached response for ${JSON.stringify(requestBody)} (cache mode: only-cache)`);
+        }
+        return cached;
+    }
+
+    /**
+     * Store a raw response in the response cache
+     * @param {Object} requestBody - Full request body
+     * @param {Object} data - Raw response
+     */
+    cacheResponse(requestBody, data) {
+        if (this.responseCache) {
+            this.responseCache.set(this.getCacheNamespace(), requestBody, data);
+        }
+    }
+
+    /**
+     * Share a rate limiter between all queries using this provider
+     * @param {Object} rateLimiter - Limiter with an async acquire() method (e.g. TokenBucket)
+     */
+    setRateLimiter(rateLimiter) {
+        this.rateLimiter = rateLimiter;
+    }
+
+    /**
+     * Wait for the shared rate limiter before sending a request
+     * Providers call this before every API request, including retries
+     * @returns {Promise<void>}
+     */
+    async waitForRateLimit() {
+        if (this.rateLimiter) {
+            await this.rateLimiter.acquire();
+        }
+    }
+
+    /**
+     * Share a credit meter between all providers of the run
+     * @param {Object} creditMeter - Meter with a charge() method (e.g. CreditMeter) counting requests against the budget
+     */
+    setCreditMeter(creditMeter) {
+        this.creditMeter = creditMeter;
+    }
+
+    /**
+     * Get the credits one API request costs
+     * @returns {number} - Credits per request
+     */
+    getCreditsPerRequest() {
+        return 1;
+    }
+
+    /**
+     * Charge an API request to the credit meter
+     * Providers call this before every API request, including retries, outside their retry handling
+     * so a request refused by the budget, or left without a usable API key, is not retried
+     * @throws {Error} - When the credit budget is used up or every API key is exhausted
+     */
+    chargeRequest() {
+        if (this.keyPool) {
+            this.keyPool.checkAvailable();
+        }
+        if (this.creditMeter) {
+            this.creditMeter.charge(this.getName(), this.getCreditsPerRequest());
+        }
+    }
+
+    /**
+     * Send a request with the next key of the key pool
+     * A key refused for auth or quota reasons is taken out of rotation and the request is sent again with
+     * the next key, so exhausted keys don't use up the retries. Every resend is charged like a new request.
+     * Keys are redacted from error messages.
+     * @param {Function} send - async (apiKey) => raw response; apiKey is null without a key pool (e.g. replays)
+     * @returns {Promise<Object>} - Raw response
+     * @throws {Error} - Errors of the request, or the refusal of chargeRequest() when no key or credit is left for a resend
+     */
+    async sendWithKey(send) {
+        if (!this.keyPool) {
+            return send(null);
+        }
+
+        while (true) {
+            const apiKey = this.keyPool.acquire();
+            try {
+                const data = await send(apiKey);
+                this.keyPool.recordRequest(apiKey, this.getCreditsPerRequest());
+                return data;
+            } catch (error) {
+                const message = this.keyPool.redact(error.message);
+                if (message !== error.message) {
+                    error.message = message;
+                }
+
+                const reason = getKeyErrorReason(error);
+                this.keyPool.recordRequest(apiKey, reason ? 0 : this.getCreditsPerRequest());
+                if (!reason) throw error;
+
+                this.keyPool.retire(apiKey, reason);
+                this.chargeRequest();
+                await this.waitForRateLimit();
+            }
+        }
+    }
+
+    /**
+     * Get the credits left in the run's credit budget
+     * @returns {number|null} - Remaining credits, or null without a budget
+     */
+    getRemainingCredits() {
+        return this.creditMeter ? this.creditMeter.getRemaining() : null;
     }
 
     /**
@@ -20,11 +231,11 @@ export class BaseProvider {
     /**
      * Get paginated results for a query
      * @param {string} query - Search query
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options (startPage resumes pagination at a 0-based page)
      * @returns {AsyncGenerator<Object>} - Generator yielding normalized results
      */
     async* getPaginatedResults(query, options = {}) {
-        let page = 0;
+        let page = options.startPage ?? 0;
         let hasMoreResults = true;
 
         while (hasMoreResults) {
@@ -77,6 +288,30 @@ export class BaseProvider {
         throw new Error('getMode() method must be implemented by provider');
     }
 
+    /**
+     * Whether the mode returns more than one page of results
+     * @returns {boolean}
+     */
+    isPaginated() {
+        return true;
+    }
+
+    /**
+     * Get the number of results one page returns
+     * @returns {number} - Results per page
+     */
+    getResultsPerPage() {
+        return 10;
+    }
+
+    /**
+     * Whether result items carry a source URL (link or website), so tracked domains can be matched
+     * @returns {boolean}
+     */
+    supportsDomainTracking() {
+        return true;
+    }
+
     /**
      * Get rate limit information
      * @returns {Object} - Rate limit info
@@ -85,7 +320,17 @@ export class BaseProvider {
         return {
             requestsPerMinute: null,
             requestsPerDay: null,
-            remainingRequests: null
+            remainingRequests: this.getRemainingCredits()
         };
     }
 }
+
+/**
+ * Tell whether a search was refused before its request was sent: the credit budget is used up, or every API key
+ * of the provider is exhausted. A refused search did not fail; it is skipped and runs again on resume.
+ * @param {Error} error - Error thrown while searching
+ * @returns {boolean}
+ */
+export function isRequestRefused(error) {
+    return isBudgetError(error) || isNoKeyLeftError(error);
+}
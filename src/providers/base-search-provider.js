@@ -7,6 +7,8 @@ import { BaseProvider } from './base-provider.js';
 export class BaseSearchProvider extends BaseProvider {
     constructor(config) {
         super(config);
+        // Results requested per page (the API's num parameter); larger pages cover the same depth in fewer requests
+        this.resultsPerPage = config.resultsPerPage ?? 10;
     }
 
     /**
@@ -17,6 +19,14 @@ export class BaseSearchProvider extends BaseProvider {
         return 'search';
     }
 
+    /**
+     * Get the number of results one page requests
+     * @returns {number} - Results per page
+     */
+    getResultsPerPage() {
+        return this.resultsPerPage;
+    }
+
     /**
      * Normalize search results to standard format
      * @param {Object} data - Raw provider response
@@ -28,6 +38,24 @@ export class BaseSearchProvider extends BaseProvider {
         throw new Error('normalizeResults() method must be implemented by search provider');
     }
 
+    /**
+     * Create an empty SERP features object
+     * Every feature is an array so consumers can iterate without null checks
+     * @returns {Object} - SERP features with empty arrays
+     */
+    createEmptyFeatures() {
+        return {
+            answerBox: [],
+            knowledgeGraph: [],
+            peopleAlsoAsk: [],
+            relatedSearches: [],
+            topStories: [],
+            sitelinks: [],
+            ads: [],
+            localPack: []
+        };
+    }
+
     /**
      * Create error result for failed search queries
      * @param {string} query - Query that failed
@@ -41,7 +69,7 @@ export class BaseSearchProvider extends BaseProvider {
                 title: '',
                 snippet: '',
                 link: '',
-                position: (page * 10) + 1,
+                position: (page * this.resultsPerPage) + 1,
                 query: query,
                 page: page + 1,
                 error: error
@@ -50,6 +78,7 @@ export class BaseSearchProvider extends BaseProvider {
             page: page + 1,
             totalResults: 0,
             hasMorePages: false,
+            features: this.createEmptyFeatures(),
             provider: this.getName(),
             mode: this.getMode(),
             timestamp: new Date().toISOString(),
@@ -0,0 +1,68 @@
+import { isBudgetError } from '../credit-meter.js';
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * Provider chain with automatic failover
+ * Queries run on the first provider; when it fails (error page or thrown error), pagination continues
+ * on the next provider from the page that failed. Every yielded page notes the provider that served it.
+ */
+export class FailoverProvider extends BaseProvider {
+    /**
+     * @param {Array<BaseProvider>} providers - Primary provider followed by its fallbacks, all in the same mode
+     */
+    constructor(providers) {
+        super({});
+        this.providers = providers;
+    }
+
+    getName() {
+        return this.providers.map(provider => provider.getName()).join(' -> ');
+    }
+
+    getMode() {
+        return this.providers[0].getMode();
+    }
+
+    supportsDomainTracking() {
+        return this.providers.every(provider => provider.supportsDomainTracking());
+    }
+
+    getRateLimitInfo() {
+        return this.providers[0].getRateLimitInfo();
+    }
+
+    /**
+     * Get paginated results, failing over to the next provider when a page fails
+     * The last provider's error pages and errors, and requests refused by the credit budget, are passed on as-is
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @returns {AsyncGenerator<Object>} - Generator yielding normalized results
+     */
+    async* getPaginatedResults(query, options = {}) {
+        let nextPage = options.startPage ?? 0;
+
+        for (let index = 0; index < this.providers.length; index++) {
+            const provider = this.providers[index];
+            const isLast = index === this.providers.length - 1;
+            let failure = null;
+
+            try {
+                for await (const result of provider.getPaginatedResults(query, { ...options, startPage: nextPage })) {
+                    if (result.error && !isLast) {
+                        failure = result.error;
+                        break;
+                    }
+                    yield result;
+                    nextPage = result.page; // result.page is 1-based, so it is the 0-based index of the next page
+                }
+            } catch (error) {
+                // The credit budget is shared by the whole chain, so a refused request ends the search on every provider
+                if (isLast || isBudgetError(error)) throw error;
+                failure = error.message;
+            }
+
+            if (!failure) return;
+            console.warn(`${provider.getName()} failed for "${query}" at page ${nextPage + 1} (${failure}). Failing over to ${this.providers[index + 1].getName()}...`);
+        }
+    }
+}
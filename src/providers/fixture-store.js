@@ -0,0 +1,115 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { ResponseCache } from './response-cache.js';
+
+/**
+ * Supported fixture modes
+ * - record: call the live API and write every response to fixture files
+ * - replay: serve responses from fixture files without any network access
+ */
+export const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * Fixture files of raw provider responses for record/replay runs
+ * Each fixture holds every response recorded for one request body, in call order,
+ * so retries (empty pages, HTTP errors) replay exactly as they happened
+ */
+export class FixtureStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.dir - Fixtures directory
+     * @param {string} options.namespace - Provider namespace (e.g. "search" or "maps")
+     * @param {string} [options.mode] - Fixture mode (see FIXTURE_MODES, default: replay)
+     */
+    constructor({ dir, namespace, mode = 'replay' }) {
+        if (!FIXTURE_MODES.includes(mode)) {
+            throw new Error(`Invalid replay mode "${mode}". Available modes: ${FIXTURE_MODES.join(', ')}`);
+        }
+        this.dir = path.join(dir, namespace);
+        this.namespace = namespace;
+        this.mode = mode;
+        this.recordedKeys = new Set();
+        this.replayCounts = new Map();
+    }
+
+    /**
+     * Send a request through the store
+     * In record mode the live request is made and its outcome recorded; in replay mode the fixture is served.
+     * HTTP errors are recorded and replayed as "HTTP <status>: <body>" errors, like the live providers throw them.
+     * @param {Object} requestBody - Full request body
+     * @param {Function} sendLive - Async function performing the live request
+     * @returns {Promise<Object>} - Raw provider response
+     */
+    async send(requestBody, sendLive) {
+        if (this.mode === 'replay') {
+            const { status, body } = this.next(requestBody);
+            if (status < 200 || status >= 300) {
+                throw new Error(`HTTP ${status}: ${body}`);
+            }
+            return body;
+        }
+
+        try {
+            const data = await sendLive();
+            this.record(requestBody, { status: 200, body: data });
+            return data;
+        } catch (error) {
+            const httpError = /^HTTP (\d+): ([\s\S]*)$/.exec(error.message);
+            if (httpError) {
+                this.record(requestBody, { status: Number(httpError[1]), body: httpError[2] });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Record a response for a request
+     * The first response recorded for a request in this run replaces the fixture; later ones are appended
+     * @param {Object} requestBody - Full request body
+     * @param {Object} response - { status, body } where body is the JSON response or the error text
+     */
+    record(requestBody, response) {
+        const filePath = this.getFilePath(requestBody);
+        const key = path.basename(filePath);
+        const fixture = this.recordedKeys.has(key) && fs.existsSync(filePath)
+            ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+            : { request: requestBody, responses: [] };
+
+        fixture.responses.push(response);
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+        this.recordedKeys.add(key);
+    }
+
+    /**
+     * Get the next recorded response for a request
+     * Once the recorded sequence is exhausted, the last response keeps being served
+     * @param {Object} requestBody - Full request body
+     * @returns {Object} - { status, body }
+     * @throws {Error} - When no fixture exists for the request
+     */
+    next(requestBody) {
+        const filePath = this.getFilePath(requestBody);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`No fixture for ${JSON.stringify(requestBody)} (expected ${filePath})`);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const count = this.replayCounts.get(filePath) || 0;
+        this.replayCounts.set(filePath, count + 1);
+        return fixture.responses[Math.min(count, fixture.responses.length - 1)];
+    }
+
+    /**
+     * Get the fixture file path for a request
+     * The query is kept in the file name so fixtures are easy to find and edit by hand
+     * @param {Object} requestBody - Full request body
+     * @returns {string} - File path
+     */
+    getFilePath(requestBody) {
+        const safeQuery = String(requestBody.q || '').replace(/[^a-zA-Z0-9]/g, '_').slice(0, 60);
+        const hash = ResponseCache.createKey(this.namespace, requestBody).slice(0, 12);
+        return path.join(this.dir, `${safeQuery}_page_${requestBody.page ?? 1}_${hash}.json`);
+    }
+}
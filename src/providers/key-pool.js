@@ -0,0 +1,145 @@
+/**
+ * HTTP statuses that mean the key itself was refused: invalid key or no access
+ * A plain 429 is short-lived rate limiting and goes through the normal retry path; it only retires the key
+ * when its text says the credits are used up
+ */
+const KEY_ERROR_STATUSES = {
+    401: 'unauthorized',
+    403: 'forbidden'
+};
+
+/**
+ * Error texts of the providers for a key without credits, e.g. Serper.dev's "Not enough credits" (HTTP 400)
+ * and SerpApi's "Your account has run out of searches" (HTTP 200 with an error field)
+ */
+const CREDITS_EXHAUSTED_PATTERN = /not enough credits|run out of (searches|credits)|out of credits|quota exceeded|credits? (exhausted|exceeded)/i;
+
+/**
+ * API keys of one provider, rotated round-robin between requests
+ * Keys refused for auth or quota reasons are taken out of rotation for the rest of the run.
+ * Keys are only ever referred to as "key <n>", their position in the input.
+ */
+export class KeyPool {
+    /**
+     * @param {Array<string>} keys - API keys in input order (empty and duplicate keys are dropped)
+     * @param {string} providerName - Provider the keys belong to, for messages and the usage report
+     */
+    constructor(keys, providerName) {
+        this.providerName = providerName;
+        this.entries = [...new Set(keys.filter(Boolean))].map((key, index) => ({
+            key,
+            label: `key ${index + 1}`,
+            requests: 0,
+            credits: 0,
+            exhausted: false,
+            reason: null
+        }));
+        this.requestCount = 0;
+    }
+
+    /**
+     * Whether at least one key is still in rotation
+     * @returns {boolean}
+     */
+    hasActiveKey() {
+        return this.entries.some(entry => !entry.exhausted);
+    }
+
+    /**
+     * Throw when no key is left, so callers can stop before sending a request
+     * @throws {Error} - When every key is out of rotation
+     */
+    checkAvailable() {
+        if (!this.hasActiveKey()) {
+            throw new Error(`No usable API key left for ${this.providerName}: all ${this.entries.length} keys are exhausted or refused`);
+        }
+    }
+
+    /**
+     * Take the next key in rotation
+     * @returns {string} - API key
+     * @throws {Error} - When every key is out of rotation
+     */
+    acquire() {
+        this.checkAvailable();
+        const active = this.entries.filter(entry => !entry.exhausted);
+        return active[this.requestCount++ % active.length].key;
+    }
+
+    /**
+     * Count a request sent with a key
+     * @param {string} key - API key from acquire()
+     * @param {number} credits - Credits the request cost
+     */
+    recordRequest(key, credits) {
+        const entry = this.entries.find(item => item.key === key);
+        entry.requests++;
+        entry.credits += credits;
+    }
+
+    /**
+     * Take a key out of rotation for the rest of the run
+     * @param {string} key - API key from acquire()
+     * @param {string} reason - Why the key was refused, e.g. "HTTP 401 unauthorized"
+     */
+    retire(key, reason) {
+        const entry = this.entries.find(item => item.key === key);
+        // Concurrent searches can hit the same exhausted key
+        if (entry.exhausted) return;
+
+        entry.exhausted = true;
+        entry.reason = reason;
+        const remaining = this.entries.filter(item => !item.exhausted).length;
+        console.warn(`${this.providerName}: API ${entry.label} taken out of rotation (${reason}), ${remaining} of ${this.entries.length} keys left`);
+    }
+
+    /**
+     * Replace every key of the pool in a text by its label, e.g. in an error message echoing the request
+     * @param {string} text - Text that may contain a key
+     * @returns {string} - Text without keys
+     */
+    redact(text) {
+        return this.entries.reduce((result, entry) => result.split(entry.key).join(`<${entry.label}>`), text);
+    }
+
+    /**
+     * Get the per-key usage for the run summary
+     * @returns {Array<Object>} - { provider, key, requests, credits, status, reason } per key, with the key label only
+     */
+    getSummary() {
+        return this.entries.map(entry => ({
+            provider: this.providerName,
+            key: entry.label,
+            requests: entry.requests,
+            credits: entry.credits,
+            status: entry.exhausted ? 'exhausted' : 'active',
+            reason: entry.reason
+        }));
+    }
+}
+
+/**
+ * Tell whether an error means the key pool had no usable key left for the request (from KeyPool.checkAvailable())
+ * @param {Error} error - Error thrown while searching
+ * @returns {boolean}
+ */
+export function isNoKeyLeftError(error) {
+    return /^No usable API key left for /.test(error.message);
+}
+
+/**
+ * Tell whether a request error means the key was refused rather than the request failing
+ * @param {Error} error - Error from a provider's sendRequest() ("HTTP <status>: <body>" or a provider error message)
+ * @returns {string|null} - Reason to take the key out of rotation, or null for other errors
+ */
+export function getKeyErrorReason(error) {
+    const httpError = /^HTTP (\d+):/.exec(error.message);
+    const status = httpError ? Number(httpError[1]) : null;
+    if (Object.hasOwn(KEY_ERROR_STATUSES, status)) {
+        return `HTTP ${status} ${KEY_ERROR_STATUSES[status]}`;
+    }
+    if (CREDITS_EXHAUSTED_PATTERN.test(error.message)) {
+        return status ? `HTTP ${status} credits exhausted` : 'credits exhausted';
+    }
+    return null;
+}
@@ -1,5 +1,16 @@
-import { SerperSearchProvider } from './serper-provider.js';
+import { ReplayMapsProvider } from './replay-maps-provider.js';
+import { ReplaySearchProvider } from './replay-provider.js';
+import { SerpApiMapsProvider } from './serpapi-maps-provider.js';
+import { SerpApiSearchProvider } from './serpapi-provider.js';
+import { SerperAutocompleteProvider } from './serper-autocomplete-provider.js';
+import { SerperImagesProvider } from './serper-images-provider.js';
 import { SerperMapsProvider } from './serper-maps-provider.js';
+import { SerperNewsProvider } from './serper-news-provider.js';
+import { SerperPlacesProvider } from './serper-places-provider.js';
+import { SerperSearchProvider } from './serper-provider.js';
+import { SerperScholarProvider } from './serper-scholar-provider.js';
+import { SerperShoppingProvider } from './serper-shopping-provider.js';
+import { SerperVideosProvider } from './serper-videos-provider.js';
 
 /**
  * Provider factory for creating SERP providers
@@ -16,6 +27,17 @@ export class ProviderFactory {
     registerDefaultProviders() {
         this.registerProvider('serper-search', SerperSearchProvider);
         this.registerProvider('serper-maps', SerperMapsProvider);
+        this.registerProvider('serper-news', SerperNewsProvider);
+        this.registerProvider('serper-images', SerperImagesProvider);
+        this.registerProvider('serper-videos', SerperVideosProvider);
+        this.registerProvider('serper-shopping', SerperShoppingProvider);
+        this.registerProvider('serper-scholar', SerperScholarProvider);
+        this.registerProvider('serper-places', SerperPlacesProvider);
+        this.registerProvider('serper-autocomplete', SerperAutocompleteProvider);
+        this.registerProvider('serpapi-search', SerpApiSearchProvider);
+        this.registerProvider('serpapi-maps', SerpApiMapsProvider);
+        this.registerProvider('replay-search', ReplaySearchProvider);
+        this.registerProvider('replay-maps', ReplayMapsProvider);
     }
 
     /**
@@ -45,7 +67,7 @@ export class ProviderFactory {
 
     /**
      * Create a provider instance based on mode and provider
-     * @param {string} mode - Mode (search or maps)
+     * @param {string} mode - Mode (search, maps, news, images, videos, shopping, scholar, places or autocomplete)
      * @param {string} provider - Provider name
      * @param {Object} config - Provider configuration
      * @returns {BaseProvider} - Provider instance
@@ -72,7 +94,17 @@ export class ProviderFactory {
             {
                 value: 'serper',
                 label: 'Serper.dev',
-                description: 'Google Search and Maps API via Serper.dev'
+                description: 'Google Search, Maps, News, Images, Videos, Shopping, Scholar, Places and Autocomplete API via Serper.dev'
+            },
+            {
+                value: 'serpapi',
+                label: 'SerpApi',
+                description: 'Google Search and Maps API via SerpApi'
+            },
+            {
+                value: 'replay',
+                label: 'Replay',
+                description: 'Records Serper.dev responses to fixture files, or replays them offline'
             }
         ];
     }
@@ -92,6 +124,41 @@ export class ProviderFactory {
                 value: 'maps',
                 label: 'Maps',
                 description: 'Google Maps business listings'
+            },
+            {
+                value: 'news',
+                label: 'News',
+                description: 'Google News articles'
+            },
+            {
+                value: 'images',
+                label: 'Images',
+                description: 'Google Images results with the page each image appears on'
+            },
+            {
+                value: 'videos',
+                label: 'Videos',
+                description: 'Google Videos results'
+            },
+            {
+                value: 'shopping',
+                label: 'Shopping',
+                description: 'Google Shopping products'
+            },
+            {
+                value: 'scholar',
+                label: 'Scholar',
+                description: 'Google Scholar publications'
+            },
+            {
+                value: 'places',
+                label: 'Places',
+                description: 'Local business results of a Google search'
+            },
+            {
+                value: 'autocomplete',
+                label: 'Autocomplete',
+                description: 'Google Autocomplete query suggestions (no domain tracking)'
             }
         ];
     }
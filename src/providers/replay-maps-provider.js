@@ -0,0 +1,60 @@
+import { FixtureStore } from './fixture-store.js';
+import { SerperMapsProvider } from './serper-maps-provider.js';
+
+/**
+ * Record/replay maps provider
+ * Records raw Serper.dev maps responses to fixture files, or replays them offline
+ * through the normal Serper maps normalization and pagination paths
+ */
+export class ReplayMapsProvider extends SerperMapsProvider {
+    constructor(config) {
+        super(config);
+        this.fixtures = new FixtureStore({
+            dir: config.fixturesDir || './fixtures',
+            namespace: 'maps',
+            mode: config.replayMode || 'replay'
+        });
+
+        // Replays are deterministic, so waiting between retries only slows them down
+        if (this.fixtures.mode === 'replay') {
+            this.retryDelay = 0;
+        }
+    }
+
+    getName() {
+        return 'Replay (Maps)';
+    }
+
+    /**
+     * Send a request through the fixture store
+     * @param {Object} requestBody - Request body
+     * @param {string} apiKey - API key for recordings
+     * @returns {Promise<Object>} - Raw Serper.dev maps response
+     */
+    async sendRequest(requestBody, apiKey) {
+        return this.fixtures.send(requestBody, () => super.sendRequest(requestBody, apiKey));
+    }
+
+    /**
+     * Replays come from fixture files and cost no credits; recordings are billed like Serper.dev requests
+     * @returns {number} - Credits per request
+     */
+    getCreditsPerRequest() {
+        return this.fixtures.mode === 'replay' ? 0 : super.getCreditsPerRequest();
+    }
+
+    /**
+     * Replays are not rate limited; recordings use the Serper.dev limits
+     * @returns {Object} - Rate limit info
+     */
+    getRateLimitInfo() {
+        if (this.fixtures.mode === 'replay') {
+            return {
+                requestsPerMinute: null,
+                requestsPerDay: null,
+                remainingRequests: null
+            };
+        }
+        return super.getRateLimitInfo();
+    }
+}
@@ -0,0 +1,122 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Supported cache modes
+ * - off: never read or write the cache
+ * - use: serve fresh cached responses, fetch and store on a miss
+ * - refresh: always fetch and overwrite the cached response
+ * - only-cache: serve cached responses (ignoring TTL) and never call the API
+ */
+export const CACHE_MODES = ['off', 'use', 'refresh', 'only-cache'];
+
+/**
+ * On-disk cache of raw provider responses
+ * Entries are keyed by the provider and the full request body, one JSON file per entry
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {string} options.dir - Directory holding cache files
+     * @param {string} [options.mode] - Cache mode (see CACHE_MODES, default: use)
+     * @param {number} [options.ttlHours] - Hours before an entry expires (0 = never, default: 24)
+     */
+    constructor({ dir, mode = 'use', ttlHours = 24 }) {
+        if (!CACHE_MODES.includes(mode)) {
+            throw new Error(`Invalid cache mode "${mode}". Available modes: ${CACHE_MODES.join(', ')}`);
+        }
+        this.dir = dir;
+        this.mode = mode;
+        this.ttlMs = ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : null;
+        this.hits = 0;
+        this.misses = 0;
+
+        if (this.mode !== 'off') {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Build the cache key for a request
+     * Object keys are sorted so the same request always maps to the same key
+     * @param {string} namespace - Provider namespace
+     * @param {Object} requestBody - Full request body sent to the provider
+     * @returns {string} - SHA-256 hex digest
+     */
+    static createKey(namespace, requestBody) {
+        const sortedBody = Object.fromEntries(Object.entries(requestBody).sort(([a], [b]) => a.localeCompare(b)));
+        return crypto.createHash('sha256').update(JSON.stringify({ namespace, request: sortedBody })).digest('hex');
+    }
+
+    /**
+     * Read a cached response
+     * @param {string} namespace - Provider namespace
+     * @param {Object} requestBody - Full request body
+     * @param {Object} [options] - Read options
+     * @param {boolean} [options.bypass] - Skip the cache (e.g. for no-results retries); ignored in only-cache mode
+     * @returns {Object|null} - Raw provider response, or null on a miss
+     */
+    get(namespace, requestBody, { bypass = false } = {}) {
+        if (this.mode === 'off' || this.mode === 'refresh') return null;
+        if (bypass && this.mode !== 'only-cache') return null;
+
+        const filePath = this.getFilePath(namespace, requestBody);
+        if (!fs.existsSync(filePath)) {
+            this.misses++;
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const isExpired = this.ttlMs !== null && Date.now() - new Date(entry.storedAt).getTime() > this.ttlMs;
+            // Replays in only-cache mode serve whatever was recorded, however old
+            if (isExpired && this.mode !== 'only-cache') {
+                this.misses++;
+                return null;
+            }
+            this.hits++;
+            return entry.response;
+        } catch (error) {
+            console.warn(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+            this.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store a raw provider response
+     * @param {string} namespace - Provider namespace
+     * @param {Object} requestBody - Full request body
+     * @param {Object} response - Raw provider response
+     */
+    set(namespace, requestBody, response) {
+        if (this.mode === 'off' || this.mode === 'only-cache') return;
+
+        const entry = {
+            namespace,
+            request: requestBody,
+            storedAt: new Date().toISOString(),
+            response
+        };
+        fs.writeFileSync(this.getFilePath(namespace, requestBody), JSON.stringify(entry));
+    }
+
+    /**
+     * Whether the API must never be called
+     * @returns {boolean}
+     */
+    isOffline() {
+        return this.mode === 'only-cache';
+    }
+
+    /**
+     * Get the cache file path for a request
+     * @param {string} namespace - Provider namespace
+     * @param {Object} requestBody - Full request body
+     * @returns {string} - File path
+     */
+    getFilePath(namespace, requestBody) {
+        return path.join(this.dir, `${ResponseCache.createKey(namespace, requestBody)}.json`);
+    }
+}
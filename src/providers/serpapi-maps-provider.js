@@ -0,0 +1,174 @@
+import { createLocaleParams } from '../locale.js';
+import { BaseMapsProvider } from './base-maps-provider.js';
+import { isRequestRefused } from './base-provider.js';
+
+/**
+ * SerpApi Google Maps provider implementation
+ * Normalizes SerpApi local results into the same listing shape as the Serper.dev maps provider
+ */
+export class SerpApiMapsProvider extends BaseMapsProvider {
+    constructor(config) {
+        super(config);
+        this.baseUrl = 'https://serpapi.com/search.json';
+        this.pageSize = 20; // SerpApi returns up to 20 listings per page
+    }
+
+    getName() {
+        return 'SerpApi (Maps)';
+    }
+
+    /**
+     * Get the number of listings one page returns
+     * @returns {number} - Results per page
+     */
+    getResultsPerPage() {
+        return this.pageSize;
+    }
+
+    /**
+     * Perform a maps search query with retry logic
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} - Normalized maps results
+     */
+    async search(query, options = {}) {
+        const { page = 0, location, language, ll, bypassCache = false } = options;
+
+        // The API key is added when sending, so it never ends up in cache keys or logs
+        const { gl, hl } = createLocaleParams(location, language);
+        const requestParams = {
+            engine: 'google_maps',
+            type: 'search',
+            q: query,
+            ...(gl ? { gl } : {}),
+            ...(hl ? { hl } : {})
+        };
+
+        // SerpApi only paginates Maps results around a coordinate (same "@lat,lng,zoomz" format as Serper)
+        if (ll) {
+            requestParams.ll = ll;
+            requestParams.start = page * this.pageSize;
+        }
+
+        const data = await this.fetchWithRetries(requestParams, { query, page, bypassCache });
+        return this.normalizeResults(data, query, page, Boolean(ll));
+    }
+
+    /**
+     * Send a single request to SerpApi
+     * @param {Object} requestParams - Query parameters without the API key
+     * @param {string} apiKey - API key to send the request with
+     * @returns {Promise<Object>} - Raw SerpApi response
+     * @throws {Error} - "HTTP <status>: <body>" for non-2xx responses, AbortError on timeout
+     */
+    async sendRequest(requestParams, apiKey) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+
+        try {
+            const params = new URLSearchParams({ ...requestParams, api_key: apiKey });
+            const response = await fetch(`${this.baseUrl}?${params}`, { signal: controller.signal });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP ${response.status}: ${errorText}`);
+            }
+
+            const data = await response.json();
+            if (data.error && !/hasn't returned any results/i.test(data.error)) {
+                throw new Error(`SerpApi error: ${data.error}`);
+            }
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Normalize SerpApi maps response to standard format
+     * @param {Object} data - Raw SerpApi response
+     * @param {string} query - Original query
+     * @param {number} page - Page number
+     * @param {boolean} [canPaginate] - Whether the request was anchored to a coordinate and can be paginated
+     * @returns {Object} - Normalized maps results
+     */
+    normalizeResults(data, query, page, canPaginate = false) {
+        const items = (data.local_results || []).map((item, index) => ({
+            position: item.position || (page * this.pageSize) + index + 1,
+            title: item.title || '',
+            address: item.address || '',
+            latitude: item.gps_coordinates?.latitude || '',
+            longitude: item.gps_coordinates?.longitude || '',
+            rating: item.rating || '',
+            ratingCount: item.reviews || '',
+            type: item.type || '',
+            types: item.types || [],
+            website: item.website || '',
+            phoneNumber: item.phone || '',
+            openingHours: item.operating_hours || {},
+            thumbnailUrl: item.thumbnail || '',
+            cid: item.data_cid || '',
+            fid: item.data_id || '',
+            placeId: item.place_id || '',
+            query: query,
+            page: page + 1,
+            error: null
+        }));
+
+        return {
+            items,
+            query,
+            page: page + 1,
+            totalResults: 0, // Maps API doesn't provide total results
+            hasMorePages: canPaginate && Boolean(data.serpapi_pagination?.next) && items.length > 0,
+            provider: this.getName(),
+            mode: this.getMode(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get paginated results with error handling
+     * An empty page ends the pagination; errors are reported as an error page
+     * @param {string} query - Search query
+     * @param {Object} options - Search options (startPage resumes pagination at a 0-based page)
+     * @returns {AsyncGenerator<Object>} - Generator yielding normalized results
+     */
+    async* getPaginatedResults(query, options = {}) {
+        let page = options.startPage ?? 0;
+        let hasMoreResults = true;
+
+        while (hasMoreResults) {
+            try {
+                const results = await this.search(query, { ...options, page });
+
+                if (!results.items || results.items.length === 0) {
+                    break;
+                }
+
+                yield results;
+
+                hasMoreResults = results.hasMorePages;
+                page++;
+            } catch (error) {
+                // A request refused by the credit budget or the key pool skips the search instead of failing it
+                if (isRequestRefused(error)) throw error;
+                console.error(`Error fetching maps page ${page} for query "${query}":`, error.message);
+                yield this.createErrorResult(query, page, error.message);
+                hasMoreResults = false;
+            }
+        }
+    }
+
+    /**
+     * Get rate limit information for SerpApi
+     * @returns {Object} - Rate limit info
+     */
+    getRateLimitInfo() {
+        return {
+            requestsPerMinute: 60,
+            requestsPerDay: null,
+            remainingRequests: this.getRemainingCredits()
+        };
+    }
+}
@@ -0,0 +1,248 @@
+import { createLocaleParams } from '../locale.js';
+import { composeQuery, createSerpApiSearchParams } from '../search-params.js';
+import { isRequestRefused } from './base-provider.js';
+import { BaseSearchProvider } from './base-search-provider.js';
+
+/**
+ * SerpApi Google search provider implementation
+ * Normalizes SerpApi responses into the same item and SERP feature shape as the Serper.dev provider
+ */
+export class SerpApiSearchProvider extends BaseSearchProvider {
+    constructor(config) {
+        super(config);
+        this.baseUrl = 'https://serpapi.com/search.json';
+    }
+
+    getName() {
+        return 'SerpApi (Search)';
+    }
+
+    /**
+     * Perform a search query with retry logic
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} - Normalized search results
+     */
+    async search(query, options = {}) {
+        const { page = 0, location, language, searchParams, bypassCache = false } = options;
+
+        // The API key is added when sending, so it never ends up in cache keys or logs
+        const requestParams = {
+            engine: 'google',
+            q: composeQuery(query, searchParams),
+            start: page * this.resultsPerPage, // SerpApi uses a 0-based result offset
+            num: this.resultsPerPage,
+            // Country (gl), city-level location and language (hl) when provided
+            ...createLocaleParams(location, language),
+            // Time range, autocorrect (nfpr) and safe search in SerpApi's parameter names
+            ...createSerpApiSearchParams(searchParams)
+        };
+
+        const data = await this.fetchWithRetries(requestParams, { query, page, bypassCache });
+        return this.normalizeResults(data, query, page);
+    }
+
+    /**
+     * Send a single request to SerpApi
+     * SerpApi reports "no results" as an error message in a successful response; that is returned as an empty response
+     * @param {Object} requestParams - Query parameters without the API key
+     * @param {string} apiKey - API key to send the request with
+     * @returns {Promise<Object>} - Raw SerpApi response
+     * @throws {Error} - "HTTP <status>: <body>" for non-2xx responses, AbortError on timeout
+     */
+    async sendRequest(requestParams, apiKey) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+
+        try {
+            const params = new URLSearchParams({ ...requestParams, api_key: apiKey });
+            const response = await fetch(`${this.baseUrl}?${params}`, { signal: controller.signal });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP ${response.status}: ${errorText}`);
+            }
+
+            const data = await response.json();
+            if (data.error && !/hasn't returned any results/i.test(data.error)) {
+                throw new Error(`SerpApi error: ${data.error}`);
+            }
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Normalize SerpApi search response to standard format
+     * @param {Object} data - Raw SerpApi response
+     * @param {string} query - Original query
+     * @param {number} page - Page number
+     * @returns {Object} - Normalized search results
+     */
+    normalizeResults(data, query, page) {
+        const items = (data.organic_results || []).map((item, index) => ({
+            title: item.title || '',
+            snippet: item.snippet || '',
+            link: item.link || '',
+            position: item.position || (page * this.resultsPerPage) + index + 1,
+            query: query,
+            page: page + 1,
+            error: null
+        }));
+
+        return {
+            items,
+            query,
+            page: page + 1,
+            totalResults: data.search_information?.total_results || 0,
+            hasMorePages: Boolean(data.serpapi_pagination?.next) && items.length > 0,
+            features: this.normalizeFeatures(data, page),
+            provider: this.getName(),
+            mode: this.getMode(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Normalize the non-organic SERP features of a SerpApi response
+     * @param {Object} data - Raw SerpApi response
+     * @param {number} page - Page number
+     * @returns {Object} - SERP features as typed arrays
+     */
+    normalizeFeatures(data, page) {
+        const features = this.createEmptyFeatures();
+        const pageNumber = page + 1;
+
+        if (data.answer_box) {
+            features.answerBox.push({
+                position: 1,
+                title: data.answer_box.title || '',
+                answer: data.answer_box.answer || '',
+                snippet: data.answer_box.snippet || '',
+                link: data.answer_box.link || '',
+                page: pageNumber
+            });
+        }
+
+        if (data.knowledge_graph) {
+            features.knowledgeGraph.push({
+                position: 1,
+                title: data.knowledge_graph.title || '',
+                type: data.knowledge_graph.type || '',
+                description: data.knowledge_graph.description || '',
+                website: data.knowledge_graph.website || '',
+                attributes: {},
+                page: pageNumber
+            });
+        }
+
+        features.peopleAlsoAsk = (data.related_questions || []).map((item, index) => ({
+            position: index + 1,
+            question: item.question || '',
+            snippet: item.snippet || '',
+            title: item.title || '',
+            link: item.link || '',
+            page: pageNumber
+        }));
+
+        features.relatedSearches = (data.related_searches || []).map((item, index) => ({
+            position: index + 1,
+            query: item.query || '',
+            page: pageNumber
+        }));
+
+        features.topStories = (data.top_stories || []).map((item, index) => ({
+            position: index + 1,
+            title: item.title || '',
+            link: item.link || '',
+            source: item.source || '',
+            date: item.date || '',
+            page: pageNumber
+        }));
+
+        // Sitelinks belong to an organic result, so keep the position of that result
+        (data.organic_results || []).forEach((organicItem, organicIndex) => {
+            const sitelinks = [...(organicItem.sitelinks?.inline || []), ...(organicItem.sitelinks?.expanded || [])];
+            sitelinks.forEach((sitelink, index) => {
+                features.sitelinks.push({
+                    position: index + 1,
+                    organicPosition: organicItem.position || (page * this.resultsPerPage) + organicIndex + 1,
+                    title: sitelink.title || '',
+                    link: sitelink.link || '',
+                    page: pageNumber
+                });
+            });
+        });
+
+        features.ads = (data.ads || []).map((item, index) => ({
+            position: item.position || index + 1,
+            title: item.title || '',
+            link: item.link || '',
+            snippet: item.description || '',
+            page: pageNumber
+        }));
+
+        features.localPack = (data.local_results?.places || []).map((item, index) => ({
+            position: item.position || index + 1,
+            title: item.title || '',
+            address: item.address || '',
+            rating: item.rating || '',
+            ratingCount: item.reviews || '',
+            category: item.type || '',
+            cid: item.data_cid || '',
+            website: item.links?.website || '',
+            page: pageNumber
+        }));
+
+        return features;
+    }
+
+    /**
+     * Get paginated results with error handling
+     * @param {string} query - Search query
+     * @param {Object} options - Search options (startPage resumes pagination at a 0-based page)
+     * @returns {AsyncGenerator<Object>} - Generator yielding normalized results
+     */
+    async* getPaginatedResults(query, options = {}) {
+        let page = options.startPage ?? 0;
+        let hasMoreResults = true;
+
+        while (hasMoreResults) {
+            try {
+                const results = await this.search(query, { ...options, page });
+
+                if (!results.items || results.items.length === 0) {
+                    // Yield the empty page to signal the search was attempted
+                    yield results;
+                    break;
+                }
+
+                yield results;
+
+                hasMoreResults = results.hasMorePages;
+                page++;
+            } catch (error) {
+                // A request refused by the credit budget or the key pool skips the search instead of failing it
+                if (isRequestRefused(error)) throw error;
+                console.error(`Error fetching page ${page} for query "${query}":`, error.message);
+
+                // Yield error result and stop
+                yield this.createErrorResult(query, page, error.message);
+                hasMoreResults = false;
+            }
+        }
+    }
+
+    /**
+     * Get rate limit information for SerpApi
+     * @returns {Object} - Rate limit info
+     */
+    getRateLimitInfo() {
+        return {
+            requestsPerMinute: 60,
+            requestsPerDay: null,
+            remainingRequests: this.getRemainingCredits()
+        };
+    }
+}
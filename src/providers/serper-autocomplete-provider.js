@@ -0,0 +1,45 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google Autocomplete provider implementation
+ * Returns a single page of query suggestions; suggestions have no source URL, so domains can't be tracked
+ */
+export class SerperAutocompleteProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (Autocomplete)';
+    }
+
+    getMode() {
+        return 'autocomplete';
+    }
+
+    getEndpoint() {
+        return 'autocomplete';
+    }
+
+    getResultsKey() {
+        return 'suggestions';
+    }
+
+    isPaginated() {
+        return false;
+    }
+
+    supportsDomainTracking() {
+        return false;
+    }
+
+    /**
+     * Normalize a suggestion
+     * @param {Object} item - Raw Serper.dev suggestion ({ value })
+     * @param {number} position - Position of the suggestion
+     * @returns {Object} - Normalized suggestion item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.value || '',
+            value: item.value || ''
+        };
+    }
+}
@@ -0,0 +1,39 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google Images provider implementation
+ */
+export class SerperImagesProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (Images)';
+    }
+
+    getMode() {
+        return 'images';
+    }
+
+    getEndpoint() {
+        return 'images';
+    }
+
+    /**
+     * Normalize an image result
+     * `link` is the page the image appears on, so tracked domains match the hosting site
+     * @param {Object} item - Raw Serper.dev image item
+     * @param {number} position - Position of the image
+     * @returns {Object} - Normalized image item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.title || '',
+            link: item.link || '',
+            source: item.source || '',
+            domain: item.domain || '',
+            imageUrl: item.imageUrl || '',
+            imageWidth: item.imageWidth || '',
+            imageHeight: item.imageHeight || '',
+            thumbnailUrl: item.thumbnailUrl || ''
+        };
+    }
+}
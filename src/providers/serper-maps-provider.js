@@ -1,4 +1,6 @@
+import { createLocaleParams } from '../locale.js';
 import { BaseMapsProvider } from './base-maps-provider.js';
+import { isRequestRefused } from './base-provider.js';
 
 /**
  * Serper.dev maps provider implementation
@@ -6,51 +8,13 @@ import { BaseMapsProvider } from './base-maps-provider.js';
 export class SerperMapsProvider extends BaseMapsProvider {
     constructor(config) {
         super(config);
-        this.apiKey = config.apiKey;
         this.baseUrl = 'https://google.serper.dev/maps';
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // 1 second
     }
 
     getName() {
         return 'Serper.dev (Maps)';
     }
 
-    /**
-     * Convert location name to country code for Serper API
-     * @param {string} location - Location name or code
-     * @returns {string} - Country code
-     */
-    normalizeLocation(location) {
-        if (!location) return undefined;
-        
-        // Common location mappings
-        const locationMap = {
-            'singapore': 'sg',
-            'united states': 'us',
-            'usa': 'us',
-            'united kingdom': 'gb',
-            'uk': 'gb',
-            'australia': 'au',
-            'canada': 'ca',
-            'india': 'in',
-            'malaysia': 'my',
-            'indonesia': 'id',
-            'philippines': 'ph',
-            'thailand': 'th',
-            'vietnam': 'vn',
-            'hong kong': 'hk',
-            'japan': 'jp',
-            'south korea': 'kr',
-            'china': 'cn'
-        };
-        
-        const normalized = location.toLowerCase().trim();
-        
-        // Return mapped value or assume it's already a country code
-        return locationMap[normalized] || (location.length === 2 ? location.toLowerCase() : location);
-    }
-
     /**
      * Perform a maps search query with retry logic
      * @param {string} query - Search query
@@ -58,61 +22,47 @@ export class SerperMapsProvider extends BaseMapsProvider {
      * @returns {Promise<Object>} - Normalized maps results
      */
     async search(query, options = {}) {
-        const { page = 0, location, language, ll } = options;
+        const { page = 0, location, language, ll, bypassCache = false } = options;
         
         const requestBody = {
             q: query,
-            page: page + 1 // Serper.dev uses 1-based page numbering
+            page: page + 1, // Serper.dev uses 1-based page numbering
+            // Country (gl), city-level location and language (hl) when provided
+            ...createLocaleParams(location, language)
         };
 
-        // Add location (gl) if provided - convert to country code
-        if (location) {
-            requestBody.gl = this.normalizeLocation(location);
-        }
-
-        // Add language (hl) if provided
-        if (language) {
-            requestBody.hl = language;
-        }
-
         // Add location coordinates if provided
         if (ll) {
             requestBody.ll = ll;
         }
 
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                const response = await fetch(this.baseUrl, {
-                    method: 'POST',
-                    headers: {
-                        'X-API-KEY': this.apiKey,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(requestBody)
-                });
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${errorText}`);
-                }
-
-                const data = await response.json();
-                return this.normalizeResults(data, query, page);
+        const data = await this.fetchWithRetries(requestBody, { query, page, bypassCache });
+        return this.normalizeResults(data, query, page);
+    }
 
-            } catch (error) {
-                lastError = error;
-                console.warn(`Attempt ${attempt}/${this.maxRetries} failed for maps query "${query}", page ${page}:`, error.message);
-                
-                if (attempt < this.maxRetries) {
-                    await this.delay(this.retryDelay * attempt); // Exponential backoff
-                }
-            }
+    /**
+     * Send a single request to the Serper.dev maps API
+     * @param {Object} requestBody - Request body
+     * @param {string} apiKey - API key to send the request with
+     * @returns {Promise<Object>} - Raw Serper.dev maps response
+     * @throws {Error} - "HTTP <status>: <body>" for non-2xx responses
+     */
+    async sendRequest(requestBody, apiKey) {
+        const response = await fetch(this.baseUrl, {
+            method: 'POST',
+            headers: {
+                'X-API-KEY': apiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status}: ${errorText}`);
         }
 
-        // All retries failed
-        throw new Error(`Failed to fetch maps results for query "${query}", page ${page} after ${this.maxRetries} attempts. Last error: ${lastError.message}`);
+        return response.json();
     }
 
     /**
@@ -124,7 +74,7 @@ export class SerperMapsProvider extends BaseMapsProvider {
      */
     normalizeResults(data, query, page) {
         const items = (data.places || []).map((item, index) => ({
-            position: (page * 10) + index + 1, // Maps also returns 10 per page
+            position: item.position || (page * 10) + index + 1,
             title: item.title || '',
             address: item.address || '',
             latitude: item.latitude || '',
@@ -159,12 +109,13 @@ export class SerperMapsProvider extends BaseMapsProvider {
 
     /**
      * Get paginated results with error handling
+     * An empty page, or an API error after the first page, ends the pagination
      * @param {string} query - Search query
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options (startPage resumes pagination at a 0-based page)
      * @returns {AsyncGenerator<Object>} - Generator yielding normalized results
      */
     async* getPaginatedResults(query, options = {}) {
-        let page = 0;
+        let page = options.startPage ?? 0;
         let hasMoreResults = true;
 
         while (hasMoreResults) {
@@ -182,22 +133,23 @@ export class SerperMapsProvider extends BaseMapsProvider {
                 hasMoreResults = results.items.length > 0;
                 page++;
             } catch (error) {
-                console.log(`Reached end of pages for query "${query}" at page ${page} (API error: ${error.message})`);
+                // A request refused by the credit budget or the key pool skips the search instead of failing it
+                if (isRequestRefused(error)) throw error;
+
+                // The Maps API answers a page past the listings with an error, so only a failed first page is an
+                // error page (a failover provider can take over); later errors end the listings
+                if (page === 0) {
+                    console.error(`Error fetching maps page ${page} for query "${query}":`, error.message);
+                    yield this.createErrorResult(query, page, error.message);
+                } else {
+                    console.log(`Reached end of pages for query "${query}" at page ${page} (API error: ${error.message})`);
+                }
                 hasMoreResults = false;
                 break;
             }
         }
     }
 
-    /**
-     * Delay execution
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise} - Promise that resolves after delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Get rate limit information from Serper.dev
      * @returns {Object} - Rate limit info
@@ -208,7 +160,7 @@ export class SerperMapsProvider extends BaseMapsProvider {
         return {
             requestsPerMinute: 60,
             requestsPerDay: 1000,
-            remainingRequests: null // Would need to parse from response headers
+            remainingRequests: this.getRemainingCredits()
         };
     }
 }
@@ -0,0 +1,36 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google News provider implementation
+ */
+export class SerperNewsProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (News)';
+    }
+
+    getMode() {
+        return 'news';
+    }
+
+    getEndpoint() {
+        return 'news';
+    }
+
+    /**
+     * Normalize a news article
+     * @param {Object} item - Raw Serper.dev news item
+     * @param {number} position - Position of the article
+     * @returns {Object} - Normalized news item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.title || '',
+            link: item.link || '',
+            snippet: item.snippet || '',
+            source: item.source || '',
+            date: item.date || '',
+            imageUrl: item.imageUrl || ''
+        };
+    }
+}
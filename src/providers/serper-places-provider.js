@@ -0,0 +1,41 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google Places provider implementation
+ * Places are the local results of a regular search; tracked domains match the business website
+ */
+export class SerperPlacesProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (Places)';
+    }
+
+    getMode() {
+        return 'places';
+    }
+
+    getEndpoint() {
+        return 'places';
+    }
+
+    /**
+     * Normalize a place listing
+     * @param {Object} item - Raw Serper.dev place item
+     * @param {number} position - Position of the listing
+     * @returns {Object} - Normalized place item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.title || '',
+            address: item.address || '',
+            latitude: item.latitude || '',
+            longitude: item.longitude || '',
+            rating: item.rating || '',
+            ratingCount: item.ratingCount || '',
+            category: item.category || '',
+            website: item.website || '',
+            phoneNumber: item.phoneNumber || '',
+            cid: item.cid || ''
+        };
+    }
+}
@@ -1,3 +1,6 @@
+import { createLocaleParams } from '../locale.js';
+import { composeQuery, createSerperSearchParams } from '../search-params.js';
+import { isRequestRefused } from './base-provider.js';
 import { BaseSearchProvider } from './base-search-provider.js';
 
 /**
@@ -6,10 +9,7 @@ import { BaseSearchProvider } from './base-search-provider.js';
 export class SerperSearchProvider extends BaseSearchProvider {
     constructor(config) {
         super(config);
-        this.apiKey = config.apiKey;
         this.baseUrl = 'https://google.serper.dev/search';
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // 1 second
         this.noResultsRetries = config.noResultsRetries ?? 2; // Retry 2 times when no results (configurable)
         this.noResultsRetryDelay = config.noResultsRetryDelay ?? 2000; // 2 seconds between retries (configurable)
     }
@@ -18,41 +18,6 @@ export class SerperSearchProvider extends BaseSearchProvider {
         return 'Serper.dev (Search)';
     }
 
-    /**
-     * Convert location name to country code for Serper API
-     * @param {string} location - Location name or code
-     * @returns {string} - Country code
-     */
-    normalizeLocation(location) {
-        if (!location) return undefined;
-        
-        // Common location mappings
-        const locationMap = {
-            'singapore': 'sg',
-            'united states': 'us',
-            'usa': 'us',
-            'united kingdom': 'gb',
-            'uk': 'gb',
-            'australia': 'au',
-            'canada': 'ca',
-            'india': 'in',
-            'malaysia': 'my',
-            'indonesia': 'id',
-            'philippines': 'ph',
-            'thailand': 'th',
-            'vietnam': 'vn',
-            'hong kong': 'hk',
-            'japan': 'jp',
-            'south korea': 'kr',
-            'china': 'cn'
-        };
-        
-        const normalized = location.toLowerCase().trim();
-        
-        // Return mapped value or assume it's already a country code
-        return locationMap[normalized] || (location.length === 2 ? location.toLowerCase() : location);
-    }
-
     /**
      * Perform a search query with retry logic
      * @param {string} query - Search query
@@ -60,65 +25,62 @@ export class SerperSearchProvider extends BaseSearchProvider {
      * @returns {Promise<Object>} - Normalized search results
      */
     async search(query, options = {}) {
-        const { page = 0, location, language } = options;
+        const { page = 0, location, language, searchParams, bypassCache = false } = options;
         
         const requestBody = {
-            q: query,
-            page: page + 1 // Serper.dev uses 1-based page numbering
+            q: composeQuery(query, searchParams), // Adds site: and exclusion operators
+            page: page + 1, // Serper.dev uses 1-based page numbering
+            ...(this.resultsPerPage !== 10 ? { num: this.resultsPerPage } : {}),
+            // Country (gl), city-level location and language (hl) when provided
+            ...createLocaleParams(location, language),
+            // Time range (tbs), autocorrect and safe search when they differ from the defaults
+            ...createSerperSearchParams(searchParams)
         };
 
-        // Add location (gl) if provided - convert to country code
-        if (location) {
-            requestBody.gl = this.normalizeLocation(location);
-        }
-
-        // Add language (hl) if provided
-        if (language) {
-            requestBody.hl = language;
-        }
+        const data = await this.fetchWithRetries(requestBody, { query, page, bypassCache });
+        return this.normalizeResults(data, query, page);
+    }
 
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                // Add timeout to prevent hanging
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-                
-                const response = await fetch(this.baseUrl, {
-                    method: 'POST',
-                    headers: {
-                        'X-API-KEY': this.apiKey,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(requestBody),
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId);
+    /**
+     * Serper.dev bills requests for more than 10 results as two credits
+     * @returns {number} - Credits per request
+     */
+    getCreditsPerRequest() {
+        return this.resultsPerPage > 10 ? 2 : 1;
+    }
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${errorText}`);
-                }
+    /**
+     * Send a single request to the Serper.dev API
+     * @param {Object} requestBody - Request body
+     * @param {string} apiKey - API key to send the request with
+     * @returns {Promise<Object>} - Raw Serper.dev response
+     * @throws {Error} - "HTTP <status>: <body>" for non-2xx responses, AbortError on timeout
+     */
+    async sendRequest(requestBody, apiKey) {
+        // Add timeout to prevent hanging
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
 
-                const data = await response.json();
-                return this.normalizeResults(data, query, page);
+        try {
+            const response = await fetch(this.baseUrl, {
+                method: 'POST',
+                headers: {
+                    'X-API-KEY': apiKey,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody),
+                signal: controller.signal
+            });
 
-            } catch (error) {
-                lastError = error;
-                const isTimeout = error.name === 'AbortError';
-                const errorMsg = isTimeout ? 'Request timeout (30s)' : error.message;
-                console.warn(`Attempt ${attempt}/${this.maxRetries} failed for query "${query}", page ${page}:`, errorMsg);
-                
-                if (attempt < this.maxRetries) {
-                    await this.delay(this.retryDelay * attempt); // Exponential backoff
-                }
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP ${response.status}: ${errorText}`);
             }
-        }
 
-        // All retries failed
-        throw new Error(`Failed to fetch results for query "${query}", page ${page} after ${this.maxRetries} attempts. Last error: ${lastError.message}`);
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
     }
 
     /**
@@ -133,7 +95,7 @@ export class SerperSearchProvider extends BaseSearchProvider {
             title: item.title || '',
             snippet: item.snippet || '',
             link: item.link || '',
-            position: (page * 10) + index + 1,
+            position: item.position || (page * this.resultsPerPage) + index + 1,
             query: query,
             page: page + 1,
             error: null
@@ -144,22 +106,116 @@ export class SerperSearchProvider extends BaseSearchProvider {
             query,
             page: page + 1,
             totalResults: data.searchInformation?.totalResults || 0,
-            hasMorePages: items.length === 10, // Serper returns 10 per page
+            hasMorePages: items.length >= this.resultsPerPage, // A short page is the last one
+            features: this.normalizeFeatures(data, page),
             provider: this.getName(),
             mode: this.getMode(),
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Normalize the non-organic SERP features of a Serper.dev response
+     * Positions are taken from the response when present, otherwise from the order within the feature block
+     * @param {Object} data - Raw Serper.dev response
+     * @param {number} page - Page number
+     * @returns {Object} - SERP features as typed arrays
+     */
+    normalizeFeatures(data, page) {
+        const features = this.createEmptyFeatures();
+        const pageNumber = page + 1;
+
+        if (data.answerBox) {
+            features.answerBox.push({
+                position: 1,
+                title: data.answerBox.title || '',
+                answer: data.answerBox.answer || '',
+                snippet: data.answerBox.snippet || '',
+                link: data.answerBox.link || '',
+                page: pageNumber
+            });
+        }
+
+        if (data.knowledgeGraph) {
+            features.knowledgeGraph.push({
+                position: 1,
+                title: data.knowledgeGraph.title || '',
+                type: data.knowledgeGraph.type || '',
+                description: data.knowledgeGraph.description || '',
+                website: data.knowledgeGraph.website || '',
+                attributes: data.knowledgeGraph.attributes || {},
+                page: pageNumber
+            });
+        }
+
+        features.peopleAlsoAsk = (data.peopleAlsoAsk || []).map((item, index) => ({
+            position: item.position || index + 1,
+            question: item.question || '',
+            snippet: item.snippet || '',
+            title: item.title || '',
+            link: item.link || '',
+            page: pageNumber
+        }));
+
+        features.relatedSearches = (data.relatedSearches || []).map((item, index) => ({
+            position: item.position || index + 1,
+            query: item.query || '',
+            page: pageNumber
+        }));
+
+        features.topStories = (data.topStories || []).map((item, index) => ({
+            position: item.position || index + 1,
+            title: item.title || '',
+            link: item.link || '',
+            source: item.source || '',
+            date: item.date || '',
+            page: pageNumber
+        }));
+
+        // Sitelinks belong to an organic result, so keep the position of that result
+        (data.organic || []).forEach((organicItem, organicIndex) => {
+            (organicItem.sitelinks || []).forEach((sitelink, index) => {
+                features.sitelinks.push({
+                    position: index + 1,
+                    organicPosition: organicItem.position || (page * this.resultsPerPage) + organicIndex + 1,
+                    title: sitelink.title || '',
+                    link: sitelink.link || '',
+                    page: pageNumber
+                });
+            });
+        });
+
+        features.ads = (data.ads || []).map((item, index) => ({
+            position: item.position || index + 1,
+            title: item.title || '',
+            link: item.link || '',
+            snippet: item.snippet || '',
+            page: pageNumber
+        }));
+
+        features.localPack = (data.places || []).map((item, index) => ({
+            position: item.position || index + 1,
+            title: item.title || '',
+            address: item.address || '',
+            rating: item.rating || '',
+            ratingCount: item.ratingCount || '',
+            category: item.category || '',
+            cid: item.cid || '',
+            website: item.website || '',
+            page: pageNumber
+        }));
+
+        return features;
+    }
 
     /**
      * Get paginated results with error handling
      * @param {string} query - Search query
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options (startPage resumes pagination at a 0-based page)
      * @returns {AsyncGenerator<Object>} - Generator yielding normalized results
      */
     async* getPaginatedResults(query, options = {}) {
-        let page = 0;
+        let page = options.startPage ?? 0;
         let hasMoreResults = true;
 
         while (hasMoreResults) {
@@ -168,6 +224,11 @@ export class SerperSearchProvider extends BaseSearchProvider {
                 
                 // Retry logic when no results are returned
                 if (!results.items || results.items.length === 0) {
+                    // An empty later page is the end of the results, not a flaky response
+                    if (page > 0) {
+                        break;
+                    }
+
                     let retryAttempt = 0;
                     
                     while (retryAttempt < this.noResultsRetries) {
@@ -177,8 +238,8 @@ export class SerperSearchProvider extends BaseSearchProvider {
                         // Wait before retrying
                         await this.delay(this.noResultsRetryDelay);
                         
-                        // Retry the search
-                        results = await this.search(query, { ...options, page });
+                        // Retry the search, skipping a cached empty response
+                        results = await this.search(query, { ...options, page, bypassCache: true });
                         
                         // If we got results after retry, break out of retry loop
                         if (results.items && results.items.length > 0) {
@@ -197,6 +258,7 @@ export class SerperSearchProvider extends BaseSearchProvider {
                             page: page + 1,
                             totalResults: 0,
                             hasMorePages: false,
+                            features: this.createEmptyFeatures(),
                             provider: this.getName(),
                             mode: this.getMode(),
                             timestamp: new Date().toISOString()
@@ -212,6 +274,8 @@ export class SerperSearchProvider extends BaseSearchProvider {
                 hasMoreResults = results.hasMorePages || false;
                 page++;
             } catch (error) {
+                // A request refused by the credit budget or the key pool skips the search instead of failing it
+                if (isRequestRefused(error)) throw error;
                 console.error(`Error fetching page ${page} for query "${query}":`, error);
                 
                 // Yield error result and continue
@@ -221,15 +285,6 @@ export class SerperSearchProvider extends BaseSearchProvider {
         }
     }
 
-    /**
-     * Delay execution
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise} - Promise that resolves after delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Get rate limit information from Serper.dev
      * @returns {Object} - Rate limit info
@@ -240,7 +295,7 @@ export class SerperSearchProvider extends BaseSearchProvider {
         return {
             requestsPerMinute: 60,
             requestsPerDay: 1000,
-            remainingRequests: null // Would need to parse from response headers
+            remainingRequests: this.getRemainingCredits()
         };
     }
 }
@@ -0,0 +1,42 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google Scholar provider implementation
+ */
+export class SerperScholarProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (Scholar)';
+    }
+
+    getMode() {
+        return 'scholar';
+    }
+
+    getEndpoint() {
+        return 'scholar';
+    }
+
+    getResultsKey() {
+        return 'organic';
+    }
+
+    /**
+     * Normalize a scholar result
+     * @param {Object} item - Raw Serper.dev scholar item
+     * @param {number} position - Position of the publication
+     * @returns {Object} - Normalized scholar item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.title || '',
+            link: item.link || '',
+            snippet: item.snippet || '',
+            publicationInfo: item.publicationInfo || '',
+            year: item.year || '',
+            citedBy: item.citedBy ?? '',
+            pdfUrl: item.pdfUrl || '',
+            id: item.id || ''
+        };
+    }
+}
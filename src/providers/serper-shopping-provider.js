@@ -0,0 +1,40 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google Shopping provider implementation
+ */
+export class SerperShoppingProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (Shopping)';
+    }
+
+    getMode() {
+        return 'shopping';
+    }
+
+    getEndpoint() {
+        return 'shopping';
+    }
+
+    /**
+     * Normalize a shopping result
+     * @param {Object} item - Raw Serper.dev shopping item
+     * @param {number} position - Position of the product
+     * @returns {Object} - Normalized shopping item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.title || '',
+            link: item.link || '',
+            source: item.source || '',
+            price: item.price || '',
+            delivery: item.delivery || '',
+            rating: item.rating || '',
+            ratingCount: item.ratingCount || '',
+            offers: item.offers || '',
+            productId: item.productId || '',
+            imageUrl: item.imageUrl || ''
+        };
+    }
+}
@@ -0,0 +1,152 @@
+import { createLocaleParams } from '../locale.js';
+import { composeQuery, createSerperSearchParams } from '../search-params.js';
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * Base provider for the Serper.dev verticals (news, images, videos, shopping, scholar, places, autocomplete)
+ * The verticals share one request format and only differ in endpoint, response key and item schema;
+ * subclasses provide those through getEndpoint(), getResultsKey() and normalizeItem()
+ */
+export class SerperVerticalProvider extends BaseProvider {
+    constructor(config) {
+        super(config);
+        this.baseUrl = `https://google.serper.dev/${this.getEndpoint()}`;
+    }
+
+    /**
+     * Get the Serper.dev endpoint of the vertical
+     * @returns {string} - Endpoint path, e.g. "news"
+     */
+    getEndpoint() {
+        throw new Error('getEndpoint() method must be implemented by vertical provider');
+    }
+
+    /**
+     * Get the key of the result list in the Serper.dev response
+     * @returns {string} - Response key, e.g. "news"
+     */
+    getResultsKey() {
+        return this.getEndpoint();
+    }
+
+    /**
+     * Whether the vertical returns more than one page of results
+     * @returns {boolean}
+     */
+    isPaginated() {
+        return true;
+    }
+
+    /**
+     * Whether result items carry a source URL in `link` or `website`, so tracked domains can be matched
+     * @returns {boolean}
+     */
+    supportsDomainTracking() {
+        return true;
+    }
+
+    /**
+     * Normalize one raw result item of the vertical
+     * Subclasses receive the raw Serper.dev item and its position across pages (1-based)
+     * @returns {Object} - Normalized item fields
+     */
+    normalizeItem() {
+        throw new Error('normalizeItem() method must be implemented by vertical provider');
+    }
+
+    /**
+     * Perform a query with retry logic
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} - Normalized results
+     */
+    async search(query, options = {}) {
+        const { page = 0, location, language, searchParams, bypassCache = false } = options;
+
+        const requestBody = {
+            q: composeQuery(query, searchParams),
+            // Country (gl), city-level location and language (hl) when provided
+            ...createLocaleParams(location, language),
+            ...createSerperSearchParams(searchParams)
+        };
+        if (this.isPaginated()) {
+            requestBody.page = page + 1; // Serper.dev uses 1-based page numbering
+        }
+
+        const data = await this.fetchWithRetries(requestBody, { query, page, bypassCache });
+        return this.normalizeResults(data, query, page);
+    }
+
+    /**
+     * Send a single request to the Serper.dev endpoint of the vertical
+     * @param {Object} requestBody - Request body
+     * @param {string} apiKey - API key to send the request with
+     * @returns {Promise<Object>} - Raw Serper.dev response
+     * @throws {Error} - "HTTP <status>: <body>" for non-2xx responses, AbortError on timeout
+     */
+    async sendRequest(requestBody, apiKey) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+
+        try {
+            const response = await fetch(this.baseUrl, {
+                method: 'POST',
+                headers: {
+                    'X-API-KEY': apiKey,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP ${response.status}: ${errorText}`);
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Normalize a Serper.dev vertical response to the standard format
+     * @param {Object} data - Raw Serper.dev response
+     * @param {string} query - Original query
+     * @param {number} page - Page number
+     * @returns {Object} - Normalized results
+     */
+    normalizeResults(data, query, page) {
+        const rawItems = data[this.getResultsKey()] || [];
+        const items = rawItems.map((item, index) => ({
+            ...this.normalizeItem(item, item.position || (page * 10) + index + 1),
+            query: query,
+            page: page + 1,
+            error: null
+        }));
+
+        return {
+            items,
+            query,
+            page: page + 1,
+            totalResults: 0, // Verticals don't report a total result count
+            hasMorePages: this.isPaginated() && items.length > 0,
+            provider: this.getName(),
+            mode: this.getMode(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get rate limit information from Serper.dev
+     * @returns {Object} - Rate limit info
+     */
+    getRateLimitInfo() {
+        return {
+            requestsPerMinute: 60,
+            requestsPerDay: 1000,
+            remainingRequests: this.getRemainingCredits()
+        };
+    }
+}
@@ -0,0 +1,39 @@
+import { SerperVerticalProvider } from './serper-vertical-provider.js';
+
+/**
+ * Serper.dev Google Videos provider implementation
+ */
+export class SerperVideosProvider extends SerperVerticalProvider {
+    getName() {
+        return 'Serper.dev (Videos)';
+    }
+
+    getMode() {
+        return 'videos';
+    }
+
+    getEndpoint() {
+        return 'videos';
+    }
+
+    /**
+     * Normalize a video result
+     * @param {Object} item - Raw Serper.dev video item
+     * @param {number} position - Position of the video
+     * @returns {Object} - Normalized video item
+     */
+    normalizeItem(item, position) {
+        return {
+            position: position,
+            title: item.title || '',
+            link: item.link || '',
+            snippet: item.snippet || '',
+            source: item.source || '',
+            channel: item.channel || '',
+            date: item.date || '',
+            duration: item.duration || '',
+            imageUrl: item.imageUrl || '',
+            videoUrl: item.videoUrl || ''
+        };
+    }
+}
@@ -0,0 +1,180 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Query input helpers
+ * Queries can be plain strings or objects with per-query options, and can be loaded from CSV/TXT files
+ */
+
+/**
+ * Per-query fields accepted in query objects and CSV columns
+ */
+export const QUERY_FIELDS = ['query', 'location', 'language', 'domain', 'maxResults', 'tags'];
+
+/**
+ * Fields that can hold several values; in CSV cells they are separated by "|" or ";"
+ */
+const LIST_FIELDS = ['location', 'language', 'domain'];
+
+/**
+ * Normalize query entries into query specs, filling per-query options from the global defaults
+ * Each query is expanded into one spec per market (location x language)
+ * @param {Array<string|Object>} entries - Query strings or objects like { query, location, language, domain, maxResults, tags }
+ *   where location and language can also be arrays of markets
+ * @param {Object} defaults - Global defaults { locations, languages, domain, maxResults }
+ * @returns {Array<Object>} - Query specs { query, location, language, market, domain, maxResults, tags }
+ */
+export function normalizeQueries(entries, defaults) {
+    return entries.flatMap((entry, index) => {
+        const spec = typeof entry === 'string' ? { query: entry } : { ...entry };
+
+        // "keyword" is accepted as an alias, matching the rank record field name
+        spec.query = String(spec.query ?? spec.keyword ?? '').trim();
+        if (!spec.query) {
+            throw new Error(`Query #${index + 1} has no "query" text.`);
+        }
+
+        const maxResults = spec.maxResults === undefined || spec.maxResults === '' ? defaults.maxResults : Number(spec.maxResults);
+        if (!Number.isInteger(maxResults) || maxResults < 0) {
+            throw new Error(`Query "${spec.query}" has an invalid maxResults "${spec.maxResults}". Use a whole number (0 = unlimited).`);
+        }
+
+        const locations = parseList(spec.location);
+        const languages = parseList(spec.language);
+        const tags = parseTags(spec.tags);
+
+        const specs = [];
+        for (const location of locations.length > 0 ? locations : defaults.locations) {
+            for (const language of languages.length > 0 ? languages : defaults.languages) {
+                specs.push({
+                    query: spec.query,
+                    location,
+                    language,
+                    market: createMarket(location, language),
+                    domain: spec.domain || defaults.domain,
+                    maxResults,
+                    tags
+                });
+            }
+        }
+        return specs;
+    });
+}
+
+/**
+ * Build the market label of a location and language
+ * @param {string} location - Location
+ * @param {string} language - Language code
+ * @returns {string} - e.g. "Singapore (en)"
+ */
+export function createMarket(location, language) {
+    return `${location} (${language})`;
+}
+
+/**
+ * Load query entries from a file
+ * - .csv: a header row with a "query" (or "keyword") column and optional location, language, domain, maxResults and tags columns.
+ *   Multiple locations, languages, domains or tags in one cell are separated by "|" or ";".
+ * - anything else: one query per line; empty lines and lines starting with # are skipped
+ * @param {string} filePath - Path to the queries file
+ * @returns {Array<string|Object>} - Query entries for normalizeQueries()
+ */
+export function loadQueriesFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Queries file not found: ${filePath}`);
+    }
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+    if (path.extname(filePath).toLowerCase() !== '.csv') {
+        return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    }
+
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim());
+    const queryColumn = columns.find(column => ['query', 'keyword'].includes(column.toLowerCase()));
+    if (!queryColumn) {
+        throw new Error(`Queries file ${filePath} needs a "query" (or "keyword") column in its header row.`);
+    }
+
+    return rows
+        .filter(row => row.some(cell => cell.trim()))
+        .map((row) => {
+            const entry = {};
+            columns.forEach((column, index) => {
+                const value = (row[index] ?? '').trim();
+                if (!value) return;
+                const field = column === queryColumn ? 'query' : QUERY_FIELDS.find(name => name.toLowerCase() === column.toLowerCase());
+                if (!field) return;
+                entry[field] = LIST_FIELDS.includes(field) ? parseList(value) : value;
+            });
+            return entry;
+        });
+}
+
+/**
+ * Parse a per-query list option from an array or a "|" / ";" separated string
+ * Commas are kept, since city-level locations contain them (e.g. "Austin, Texas, United States")
+ * @param {Array<string>|string} value - Option value
+ * @returns {Array<string>} - Unique, trimmed, non-empty values
+ */
+function parseList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[|;]/);
+    return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Parse tags from an array or a "|" / ";" / "," separated string
+ * @param {Array<string>|string} tags - Tags
+ * @returns {Array<string>} - Trimmed, non-empty tags
+ */
+function parseTags(tags) {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(/[|;,]/);
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
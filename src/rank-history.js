@@ -0,0 +1,134 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Statuses that represent a completed rank check and can serve as the previous rank
+ * Errors and empty API responses say nothing about where the domain ranks
+ */
+const COMPARABLE_STATUSES = new Set(['found', 'not_found']);
+
+/**
+ * Append-only JSONL rank history store
+ * Keeps one line per rank check, keyed by mode, keyword, domain, location, language and search parameters,
+ * so each run can be compared with the previous one
+ */
+export class RankHistory {
+    /**
+     * @param {string} filePath - Path to the JSONL history file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map();
+        this.load();
+    }
+
+    /**
+     * Build the history key for a rank check
+     * @param {Object} record - Rank record with mode, keyword, domain, location, language and searchParams
+     * @returns {string} - History key
+     */
+    static createKey(record) {
+        const domain = String(record.domain || '').replace(/^www\./i, '').toLowerCase();
+        // Entries written before modes were recorded are organic search checks
+        const mode = record.mode || 'search';
+        // Entries written before search parameters existed have none, like checks with the default parameters
+        return [mode, record.keyword, domain, record.location, record.language, record.searchParams]
+            .map(part => String(part ?? '').trim().toLowerCase())
+            .join('|');
+    }
+
+    /**
+     * Load existing history from disk
+     * Malformed lines (e.g. a partially written last line) are skipped
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                this.remember(JSON.parse(line));
+            } catch {
+                console.warn(`Skipping malformed rank history line in ${this.filePath}`);
+            }
+        }
+    }
+
+    /**
+     * Update the in-memory summary for a key with a history entry
+     * @param {Object} entry - Rank history entry
+     */
+    remember(entry) {
+        if (!COMPARABLE_STATUSES.has(entry.status)) return;
+
+        const key = RankHistory.createKey(entry);
+        const summary = this.entries.get(key) || { latest: null, bestRank: null };
+        summary.latest = entry;
+        if (typeof entry.position === 'number' && (summary.bestRank === null || entry.position < summary.bestRank)) {
+            summary.bestRank = entry.position;
+        }
+        this.entries.set(key, summary);
+    }
+
+    /**
+     * Compare a rank record with the previous check and append it to the history
+     * @param {Object} rankRecord - Rank record with mode, keyword, domain, location, language, status and position
+     * @returns {Object} - Rank record with previousRank, previousCheckedAt, change, bestRank, previousLink and rankingUrlChanged
+     */
+    track(rankRecord) {
+        const summary = this.entries.get(RankHistory.createKey(rankRecord));
+        const previous = summary?.latest || null;
+        const previousRank = previous ? previous.position : null;
+        const previousLink = previous ? previous.link : null;
+
+        // Positive change means the domain moved up (e.g. 14 -> 9 is +5)
+        let change = null;
+        if (typeof previousRank === 'number' && typeof rankRecord.position === 'number') {
+            change = previousRank - rankRecord.position;
+        }
+
+        let bestRank = summary?.bestRank ?? null;
+        if (typeof rankRecord.position === 'number' && (bestRank === null || rankRecord.position < bestRank)) {
+            bestRank = rankRecord.position;
+        }
+
+        const trackedRecord = {
+            ...rankRecord,
+            previousRank,
+            previousCheckedAt: previous ? previous.timestamp : null,
+            change,
+            bestRank,
+            previousLink,
+            // The domain ranked both times, but with a different URL
+            rankingUrlChanged: Boolean(previousLink && rankRecord.status === 'found' && rankRecord.link !== previousLink)
+        };
+
+        this.append(trackedRecord);
+        return trackedRecord;
+    }
+
+    /**
+     * Append a record to the history file
+     * @param {Object} record - Rank record
+     */
+    append(record) {
+        const entry = {
+            mode: record.mode,
+            keyword: record.keyword,
+            domain: record.domain,
+            location: record.location,
+            language: record.language,
+            searchParams: record.searchParams,
+            status: record.status,
+            position: record.position,
+            link: record.link,
+            depthChecked: record.depthChecked,
+            timestamp: record.timestamp
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+        this.remember(entry);
+    }
+}
@@ -0,0 +1,182 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Supported output formats
+ * - json-files: one JSON file per page (or per query and domain in domain mode), as before
+ * - csv: one consolidated CSV file per run
+ * - ndjson: one consolidated newline-delimited JSON file per run
+ * - json: one consolidated, pretty-printed JSON array per run
+ */
+export const OUTPUT_FORMATS = ['json-files', 'csv', 'ndjson', 'json'];
+
+/**
+ * Stable CSV columns per record kind
+ * New fields are appended at the end so existing spreadsheets keep working
+ */
+export const EXPORT_COLUMNS = {
+    search: ['query', 'page', 'position', 'title', 'link', 'snippet', 'error', 'timestamp', 'tags', 'market', 'provider', 'searchParams'],
+    maps: [
+        'query', 'page', 'position', 'title', 'address', 'latitude', 'longitude', 'rating', 'ratingCount',
+        'type', 'types', 'website', 'phoneNumber', 'openingHours', 'thumbnailUrl', 'cid', 'fid', 'placeId',
+        'error', 'timestamp', 'tags', 'market', 'provider'
+    ],
+    news: ['query', 'page', 'position', 'title', 'link', 'snippet', 'source', 'date', 'imageUrl', 'error', 'timestamp', 'tags', 'market', 'provider', 'searchParams'],
+    images: [
+        'query', 'page', 'position', 'title', 'link', 'source', 'domain', 'imageUrl', 'imageWidth', 'imageHeight',
+        'thumbnailUrl', 'error', 'timestamp', 'tags', 'market', 'provider', 'searchParams'
+    ],
+    videos: [
+        'query', 'page', 'position', 'title', 'link', 'snippet', 'source', 'channel', 'date', 'duration', 'imageUrl',
+        'videoUrl', 'error', 'timestamp', 'tags', 'market', 'provider', 'searchParams'
+    ],
+    shopping: [
+        'query', 'page', 'position', 'title', 'link', 'source', 'price', 'delivery', 'rating', 'ratingCount', 'offers',
+        'productId', 'imageUrl', 'error', 'timestamp', 'tags', 'market', 'provider', 'searchParams'
+    ],
+    scholar: [
+        'query', 'page', 'position', 'title', 'link', 'snippet', 'publicationInfo', 'year', 'citedBy', 'pdfUrl', 'id',
+        'error', 'timestamp', 'tags', 'market', 'provider', 'searchParams'
+    ],
+    places: [
+        'query', 'page', 'position', 'title', 'address', 'latitude', 'longitude', 'rating', 'ratingCount', 'category',
+        'website', 'phoneNumber', 'cid', 'error', 'timestamp', 'tags', 'market', 'provider'
+    ],
+    autocomplete: ['query', 'position', 'value', 'error', 'timestamp', 'tags', 'market', 'provider'],
+    rank: [
+        'keyword', 'domain', 'location', 'language', 'status', 'position', 'link', 'title', 'matchedBy',
+        'matchStrategy', 'matchType', 'depthChecked', 'pagesFetched', 'maxResults', 'errorMessage',
+        'rating', 'reviewCount', 'address', 'cid', 'placeId', 'matchCount', 'cannibalization', 'matches',
+        'previousRank', 'previousCheckedAt', 'change', 'bestRank', 'previousLink', 'rankingUrlChanged', 'timestamp', 'tags', 'market', 'provider', 'searchParams'
+    ],
+    grid: [
+        'keyword', 'domain', 'location', 'language', 'center', 'radiusKm', 'gridSize', 'zoom', 'averageRank',
+        'foundPoints', 'totalPoints', 'matrix', 'points', 'maxResults', 'timestamp', 'tags', 'market', 'provider'
+    ]
+};
+
+/**
+ * Streams every record of a run into one consolidated file per record kind and format
+ * Files are opened on the first record of a kind, so a run mixing rank and page records gets both
+ */
+export class RunExporter {
+    /**
+     * @param {Object} options - Exporter options
+     * @param {string} options.outputDir - Output directory
+     * @param {Array<string>} options.formats - Output formats (see OUTPUT_FORMATS)
+     * @param {string} [options.runId] - Run identifier used in file names (default: start timestamp)
+     */
+    constructor({ outputDir, formats, runId }) {
+        const invalidFormats = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+        if (invalidFormats.length > 0) {
+            throw new Error(`Invalid output format(s): ${invalidFormats.join(', ')}. Available formats: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+
+        this.outputDir = outputDir;
+        this.formats = formats;
+        this.runId = runId || new Date().toISOString().replace(/[:.]/g, '-');
+        // Open files per record kind: kind -> [{ format, stream, filePath, recordCount }]
+        this.files = new Map();
+    }
+
+    /**
+     * Get the consolidated files of a record kind, opening them on first use
+     * @param {string} kind - Record kind, one of the EXPORT_COLUMNS keys
+     * @returns {Array<Object>} - Open files
+     */
+    getFiles(kind) {
+        if (this.files.has(kind)) return this.files.get(kind);
+
+        const columns = EXPORT_COLUMNS[kind];
+        const files = [];
+        for (const format of this.formats) {
+            if (format === 'json-files') continue;
+            const filePath = path.join(this.outputDir, `run_${kind}_${this.runId}.${format}`);
+            const stream = fs.createWriteStream(filePath);
+            files.push({ format, stream, filePath, columns, recordCount: 0 });
+
+            if (format === 'csv') {
+                stream.write(`${columns.map(escapeCsvValue).join(',')}\n`);
+            } else if (format === 'json') {
+                stream.write('[');
+            }
+        }
+        this.files.set(kind, files);
+        return files;
+    }
+
+    /**
+     * Whether the per-page / per-query JSON files should be written
+     * @returns {boolean}
+     */
+    writesJsonFiles() {
+        return this.formats.includes('json-files');
+    }
+
+    /**
+     * Get the paths of the consolidated files
+     * @returns {Array<string>} - File paths
+     */
+    getFilePaths() {
+        return [...this.files.values()].flat().map(({ filePath }) => filePath);
+    }
+
+    /**
+     * Write records to every consolidated file of their kind
+     * @param {string} kind - Record kind, one of the EXPORT_COLUMNS keys
+     * @param {Array<Object>} records - Records to export
+     */
+    write(kind, records) {
+        if (records.length === 0) return;
+
+        for (const file of this.getFiles(kind)) {
+            for (const record of records) {
+                if (file.format === 'csv') {
+                    file.stream.write(`${file.columns.map(column => escapeCsvValue(record[column])).join(',')}\n`);
+                } else if (file.format === 'ndjson') {
+                    file.stream.write(`${JSON.stringify(record)}\n`);
+                } else if (file.format === 'json') {
+                    const separator = file.recordCount > 0 ? ',' : '';
+                    file.stream.write(`${separator}\n${indent(JSON.stringify(record, null, 2))}`);
+                }
+                file.recordCount++;
+            }
+        }
+    }
+
+    /**
+     * Finish and close every consolidated file so it is complete and valid
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const closing = [...this.files.values()].flat().map(file => new Promise((resolve, reject) => {
+            if (file.format === 'json') {
+                file.stream.write(file.recordCount > 0 ? '\n]\n' : ']\n');
+            }
+            file.stream.on('error', reject);
+            file.stream.end(resolve);
+        }));
+        await Promise.all(closing);
+    }
+}
+
+/**
+ * Escape a value for CSV
+ * Objects and arrays are written as JSON; null and undefined become empty cells
+ * @param {*} value - Value
+ * @returns {string} - CSV cell
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Indent every line of a block of text by two spaces
+ * @param {string} text - Text
+ * @returns {string} - Indented text
+ */
+function indent(text) {
+    return text.split('\n').map(line => `  ${line}`).join('\n');
+}
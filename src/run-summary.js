@@ -0,0 +1,232 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Short labels for rank statuses without a position in the rank table
+ */
+const STATUS_LABELS = {
+    not_found: '-',
+    no_results: 'n/r',
+    error: 'err'
+};
+
+/**
+ * Collects the outcome of a run: totals and, for tracked domains, a per-market rank table for each keyword
+ */
+export class RunSummary {
+    /**
+     * @param {Object} options - Summary options
+     * @param {string} options.runId - Run identifier, shared with the consolidated output files
+     * @param {string} options.startTime - Run start time (ISO string)
+     */
+    constructor({ runId, startTime }) {
+        this.runId = runId;
+        this.startTime = startTime;
+        this.markets = [];
+        // keyword|domain -> { keyword, domain, markets: { [market]: { position, status } } }
+        this.rows = new Map();
+    }
+
+    /**
+     * Restore a summary saved by save(), e.g. to print or compare the rank tables of an earlier run
+     * @param {string} filePath - Path to a run_summary_{runId}.json file
+     * @returns {Object} - { summary, runSummary } with the saved summary and a RunSummary holding its rank table
+     */
+    static load(filePath) {
+        const summary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const runSummary = new RunSummary({ runId: summary.runId, startTime: summary.startTime });
+        runSummary.restore(summary);
+        return { summary, runSummary };
+    }
+
+    /**
+     * Get the rank table for the saved run state, so a resumed run keeps the rows from before the interruption
+     * @returns {Object} - { markets, rankTable }
+     */
+    getState() {
+        return {
+            markets: this.markets,
+            rankTable: [...this.rows.values()]
+        };
+    }
+
+    /**
+     * Restore a rank table from getState() or a saved summary
+     * @param {Object} state - { markets, rankTable }
+     */
+    restore(state) {
+        this.markets = [...(state.markets || [])];
+        for (const row of state.rankTable || []) {
+            this.rows.set(`${row.keyword}|${row.domain}`, row);
+        }
+    }
+
+    /**
+     * Find the most recent run summaries in an output directory
+     * Run IDs are start timestamps, so file names sort chronologically
+     * @param {string} outputDir - Output directory
+     * @param {number} count - Number of summaries to return
+     * @returns {Array<string>} - File paths, oldest first
+     */
+    static findLatest(outputDir, count) {
+        if (!fs.existsSync(outputDir)) return [];
+        return fs.readdirSync(outputDir)
+            .filter(name => /^run_summary_.+\.json$/.test(name))
+            .sort()
+            .slice(-count)
+            .map(name => path.join(outputDir, name));
+    }
+
+    /**
+     * Add a rank or geo-grid record to the rank table
+     * Geo-grid records contribute their average rank over the grid
+     * @param {Object} record - Rank record (keyword, domain, market, status, position) or geo-grid record (averageRank)
+     */
+    track(record) {
+        const { market } = record;
+        if (!this.markets.includes(market)) {
+            this.markets.push(market);
+        }
+
+        const key = `${record.keyword}|${record.domain}`;
+        const row = this.rows.get(key) || { keyword: record.keyword, domain: record.domain, markets: {} };
+        const isGridRecord = 'averageRank' in record;
+        row.markets[market] = isGridRecord
+            ? { position: record.averageRank, status: record.foundPoints > 0 ? 'found' : 'not_found' }
+            : { position: record.position, status: record.status };
+        this.rows.set(key, row);
+    }
+
+    /**
+     * Build the summary object
+     * @param {Object} totals - Run totals to include (e.g. queries, searches, totalResults)
+     * @returns {Object} - Run summary
+     */
+    build(totals) {
+        return {
+            runId: this.runId,
+            startTime: this.startTime,
+            endTime: new Date().toISOString(),
+            ...totals,
+            markets: this.markets,
+            rankTable: [...this.rows.values()]
+        };
+    }
+
+    /**
+     * Format the rank table as plain-text tables, one per tracked domain
+     * Cells hold the position, "-" when not found, "n/r" for no results and "err" for errors
+     * @returns {string} - Formatted tables ('' when no domains were tracked)
+     */
+    formatRankTables() {
+        const domains = [...new Set([...this.rows.values()].map(row => row.domain))];
+        return domains.map((domain) => {
+            const rows = [...this.rows.values()].filter(row => row.domain === domain);
+            const lines = [['keyword', ...this.markets], ...rows.map(row => [
+                row.keyword,
+                ...this.markets.map(market => formatCell(row.markets[market]))
+            ])];
+            const widths = lines[0].map((_, index) => Math.max(...lines.map(line => line[index].length)));
+            const table = lines.map(line => line.map((cell, index) => cell.padEnd(widths[index])).join(' | ').trimEnd());
+            return [`Rank summary for ${domain}:`, ...table].join('\n');
+        }).join('\n\n');
+    }
+
+    /**
+     * Compare this rank table with the one of an earlier run
+     * @param {RunSummary} previous - Summary of the earlier run
+     * @returns {Array<Object>} - One entry per keyword, domain and market checked in either run:
+     *   { keyword, domain, market, previous, current, change }, where change is previous - current position
+     *   (positive means the domain moved up) and null unless both positions are numbers
+     */
+    diff(previous) {
+        const keys = [...new Set([...previous.rows.keys(), ...this.rows.keys()])];
+        const markets = [...new Set([...previous.markets, ...this.markets])];
+        const entries = [];
+
+        for (const key of keys) {
+            const previousRow = previous.rows.get(key);
+            const currentRow = this.rows.get(key);
+            const { keyword, domain } = currentRow || previousRow;
+            for (const market of markets) {
+                const previousCell = previousRow?.markets[market];
+                const currentCell = currentRow?.markets[market];
+                if (!previousCell && !currentCell) continue;
+
+                const isComparable = typeof previousCell?.position === 'number' && typeof currentCell?.position === 'number';
+                entries.push({
+                    keyword,
+                    domain,
+                    market,
+                    previous: previousCell || null,
+                    current: currentCell || null,
+                    change: isComparable ? Number((previousCell.position - currentCell.position).toFixed(1)) : null
+                });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Format a diff from diff() as a plain-text table
+     * @param {Array<Object>} entries - Diff entries
+     * @returns {string} - Formatted table
+     */
+    static formatDiff(entries) {
+        const lines = [['keyword', 'domain', 'market', 'before', 'after', 'change'], ...entries.map(entry => [
+            entry.keyword,
+            entry.domain,
+            entry.market,
+            formatCell(entry.previous),
+            formatCell(entry.current),
+            formatChange(entry)
+        ])];
+        const widths = lines[0].map((_, index) => Math.max(...lines.map(line => line[index].length)));
+        return lines.map(line => line.map((cell, index) => cell.padEnd(widths[index])).join(' | ').trimEnd()).join('\n');
+    }
+
+    /**
+     * Save the summary as run_summary_{runId}.json in the output directory
+     * @param {Object} summary - Summary from build()
+     * @param {string} outputDir - Output directory
+     * @returns {string} - File path
+     */
+    save(summary, outputDir) {
+        const filePath = path.join(outputDir, `run_summary_${this.runId}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(summary, null, 2));
+        return filePath;
+    }
+}
+
+/**
+ * Format the change column of a diff entry
+ * Only a check that found no match counts as lost (or, before, as not ranking); errors are shown as such
+ * and a keyword that was not checked in one of the runs leaves the column empty
+ * @param {Object} entry - Diff entry from RunSummary.diff()
+ * @returns {string} - e.g. "+5", "-2", "0", "new" when the domain started ranking, "lost" when it stopped, "error"
+ */
+function formatChange(entry) {
+    if (entry.change !== null) {
+        return entry.change > 0 ? `+${entry.change}` : String(entry.change);
+    }
+    if (entry.previous?.status === 'error' || entry.current?.status === 'error') return 'error';
+
+    const wasRanked = typeof entry.previous?.position === 'number';
+    const isRanked = typeof entry.current?.position === 'number';
+    if (isRanked && entry.previous?.status === 'not_found') return 'new';
+    if (wasRanked && entry.current?.status === 'not_found') return 'lost';
+    return '';
+}
+
+/**
+ * Format a rank table cell
+ * @param {Object} [cell] - { position, status }
+ * @returns {string} - Cell text ('' when the keyword was not checked in the market)
+ */
+function formatCell(cell) {
+    if (!cell) return '';
+    if (typeof cell.position === 'number') {
+        return Number.isInteger(cell.position) ? String(cell.position) : cell.position.toFixed(1);
+    }
+    return STATUS_LABELS[cell.status] || cell.status;
+}
@@ -0,0 +1,126 @@
+/**
+ * Advanced search parameters shared by the providers and input validation
+ * Time range (tbs), autocorrect, safe search, and site/exclusion operators composed into the query
+ */
+
+/**
+ * Time range names and their Google tbs values
+ */
+export const TIME_RANGES = {
+    hour: 'qdr:h',
+    day: 'qdr:d',
+    week: 'qdr:w',
+    month: 'qdr:m',
+    year: 'qdr:y'
+};
+
+/**
+ * Modes whose endpoints accept the advanced search parameters
+ * Maps, places and autocomplete have no time range or operators
+ */
+export const SEARCH_PARAM_MODES = ['search', 'news', 'images', 'videos', 'shopping', 'scholar'];
+
+/**
+ * Normalize the advanced search parameters of the input
+ * The input schema checks their values (time range names, booleans, sites without whitespace)
+ * @param {Object} input - Validated input with timeRange, autocorrect, safeSearch, sites, excludeSites and excludeTerms
+ * @returns {Object} - { timeRange, autocorrect, safeSearch, sites, excludeSites, excludeTerms }
+ */
+export function normalizeSearchParams(input) {
+    return {
+        timeRange: input.timeRange && input.timeRange !== 'any' ? input.timeRange : null,
+        autocorrect: input.autocorrect ?? true,
+        safeSearch: input.safeSearch ?? false,
+        sites: parseOperandList(input.sites).map(normalizeSite),
+        excludeSites: parseOperandList(input.excludeSites).map(normalizeSite),
+        excludeTerms: parseOperandList(input.excludeTerms)
+    };
+}
+
+/**
+ * Compose the query sent to the API from the keyword and the site/exclusion operators
+ * e.g. "running shoes" with sites [nike.com] and excludeTerms [kids] -> "running shoes site:nike.com -kids"
+ * @param {string} query - Keyword
+ * @param {Object} [params] - Parameters from normalizeSearchParams()
+ * @returns {string} - Query with operators
+ */
+export function composeQuery(query, params) {
+    if (!params) return query;
+
+    const operators = [
+        params.sites.map(site => `site:${site}`).join(' OR '),
+        ...params.excludeSites.map(site => `-site:${site}`),
+        ...params.excludeTerms.map(term => (/\s/.test(term) ? `-"${term}"` : `-${term}`))
+    ].filter(Boolean);
+
+    return [query, ...operators].join(' ');
+}
+
+/**
+ * Create the Serper.dev request parameters for the time range, autocorrect and safe search
+ * @param {Object} [params] - Parameters from normalizeSearchParams()
+ * @returns {Object} - { tbs?, autocorrect?, safe? }, only set when they differ from the API defaults
+ */
+export function createSerperSearchParams(params) {
+    if (!params) return {};
+    return {
+        ...(params.timeRange ? { tbs: TIME_RANGES[params.timeRange] } : {}),
+        ...(params.autocorrect ? {} : { autocorrect: false }),
+        ...(params.safeSearch ? { safe: 'active' } : {})
+    };
+}
+
+/**
+ * Create the SerpApi request parameters for the time range, autocorrect and safe search
+ * @param {Object} [params] - Parameters from normalizeSearchParams()
+ * @returns {Object} - { tbs?, nfpr?, safe? }, only set when they differ from the API defaults
+ */
+export function createSerpApiSearchParams(params) {
+    if (!params) return {};
+    return {
+        ...(params.timeRange ? { tbs: TIME_RANGES[params.timeRange] } : {}),
+        ...(params.autocorrect ? {} : { nfpr: 1 }), // "No filter, plain results" turns off the spelling correction
+        ...(params.safeSearch ? { safe: 'active' } : {})
+    };
+}
+
+/**
+ * Describe the non-default parameters in one label, recorded on every output record
+ * so checks with different parameters (e.g. past week vs. any time) are kept apart
+ * @param {Object} [params] - Parameters from normalizeSearchParams()
+ * @returns {string|null} - e.g. "time:week, autocorrect:off, site:nike.com", or null with default parameters
+ */
+export function formatSearchParams(params) {
+    if (!params) return null;
+
+    const parts = [
+        params.timeRange ? `time:${params.timeRange}` : null,
+        params.autocorrect ? null : 'autocorrect:off',
+        params.safeSearch ? 'safe:on' : null
+    ];
+    const operators = composeQuery('', params).trim();
+    if (operators) {
+        parts.push(operators);
+    }
+
+    const label = parts.filter(Boolean).join(', ');
+    return label || null;
+}
+
+/**
+ * Trim an operand list and drop empty entries
+ * @param {Array<string>} [value] - List input
+ * @returns {Array<string>} - Trimmed, non-empty operands
+ */
+function parseOperandList(value) {
+    return (value || []).map(operand => operand.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a site operand to a host with an optional path
+ * @param {string} site - Site input, e.g. "https://www.nike.com/running/"
+ * @returns {string} - e.g. "nike.com/running"
+ */
+function normalizeSite(site) {
+    return site.replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '').replace(/\/+$/, '').toLowerCase();
+}
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+const MAIN_PATH = new URL('../src/main.js', import.meta.url).pathname;
+const FIXTURES_DIR = new URL('./fixtures', import.meta.url).pathname;
+
+/**
+ * Run main.js against the fixtures in a temporary working directory (the Apify SDK writes ./storage there)
+ * @param {string} workDir - Working directory of the run
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+function runReplay(workDir) {
+    const args = [
+        MAIN_PATH,
+        '--provider', 'replay',
+        '--fixtures-dir', FIXTURES_DIR,
+        '--query', 'hematuria treatment',
+        '--query', 'kidney stones',
+        '--query', 'prostate check',
+        '--domain', 'lkyurology.com',
+        '--output', 'output'
+    ];
+    // No provider keys or SERP_* settings from the environment: replays run offline
+    return execFileAsync(process.execPath, args, { cwd: workDir, env: { PATH: process.env.PATH } });
+}
+
+/**
+ * Read the rank records of a run from its per-query JSON files
+ * @param {string} outputDir - Output directory of the run
+ * @returns {Map<string, Object>} - Rank record per keyword
+ */
+function readRankRecords(outputDir) {
+    const files = fs.readdirSync(outputDir).filter(name => name.includes('_match_'));
+    return new Map(files.map((name) => {
+        const record = JSON.parse(fs.readFileSync(path.join(outputDir, name), 'utf8'));
+        return [record.keyword, record];
+    }));
+}
+
+describe('main.js with the replay provider', () => {
+    let workDir;
+    let outputDir;
+    let stdout;
+
+    before(async () => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serp-replay-'));
+        outputDir = path.join(workDir, 'output');
+        ({ stdout } = await runReplay(workDir));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('writes one rank record per search', () => {
+        const records = readRankRecords(outputDir);
+
+        assert.deepEqual([...records.keys()].sort(), ['hematuria treatment', 'kidney stones', 'prostate check']);
+        const { status, position, link, depthChecked, pagesFetched } = records.get('hematuria treatment');
+        assert.deepEqual({ status, position, link, depthChecked, pagesFetched }, {
+            status: 'found',
+            position: 14,
+            link: 'https://www.lkyurology.com/page-14',
+            depthChecked: 20,
+            pagesFetched: 2
+        });
+        assert.equal(records.get('kidney stones').status, 'not_found');
+        assert.equal(records.get('kidney stones').depthChecked, 10);
+        assert.equal(records.get('prostate check').status, 'error');
+        assert.match(records.get('prostate check').errorMessage, /after 3 attempts\. Last error: HTTP 500:/);
+
+        const history = fs.readFileSync(path.join(outputDir, 'rank-history.jsonl'), 'utf8').trim().split('\n');
+        assert.equal(history.length, 3);
+    });
+
+    it('writes a run summary with the rank table and the replayed requests', () => {
+        const [summaryFile] = fs.readdirSync(outputDir).filter(name => name.startsWith('run_summary_'));
+        const summary = JSON.parse(fs.readFileSync(path.join(outputDir, summaryFile), 'utf8'));
+
+        assert.equal(summary.completedSearches, 3);
+        assert.equal(summary.skippedSearches, 0);
+        assert.equal(summary.totalResults, 30);
+        // Two pages each for the searches with results and three failed attempts for the last one; replays cost no credits
+        assert.equal(summary.credits.requests, 7);
+        assert.equal(summary.credits.used, 0);
+        assert.deepEqual(summary.rankTable.map(row => [row.keyword, row.markets['Singapore (en)']]), [
+            ['hematuria treatment', { position: 14, status: 'found' }],
+            ['kidney stones', { position: null, status: 'not_found' }],
+            ['prostate check', { position: null, status: 'error' }]
+        ]);
+        assert.match(stdout, /hematuria treatment \| 14/);
+    });
+
+    it('leaves no checkpoint after a complete run', () => {
+        assert.equal(fs.existsSync(path.join(outputDir, 'checkpoint.json')), false);
+    });
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { matchTarget } from '../src/domain-matcher.js';
+import { ReplaySearchProvider } from '../src/providers/replay-provider.js';
+
+/**
+ * Replays the checked-in fixtures in test/fixtures through the normal search pipeline
+ * The fixtures are hand-written Serper.dev responses for location Singapore and language en, not recordings
+ */
+const FIXTURES_DIR = new URL('./fixtures', import.meta.url).pathname;
+
+/**
+ * Replay every page of a query
+ * @param {string} query - Query with fixtures
+ * @returns {Promise<Array<Object>>} - Pages yielded by getPaginatedResults()
+ */
+async function replayPages(query) {
+    const provider = new ReplaySearchProvider({ fixturesDir: FIXTURES_DIR });
+    const pages = [];
+    for await (const page of provider.getPaginatedResults(query, { location: 'Singapore', language: 'en' })) {
+        pages.push(page);
+    }
+    return pages;
+}
+
+/**
+ * Find the first result of the pages matching a tracked domain
+ * @param {Array<Object>} pages - Pages from replayPages()
+ * @param {string} domain - Tracked domain
+ * @param {string} [strategy] - Match strategy
+ * @returns {Object|null} - { position, link, matchType }, or null when the domain is not found
+ */
+function findRank(pages, domain, strategy) {
+    for (const item of pages.flatMap(page => page.items)) {
+        const matchType = matchTarget(item.link, domain, strategy);
+        if (matchType) {
+            return { position: item.position, link: item.link, matchType };
+        }
+    }
+    return null;
+}
+
+describe('ReplaySearchProvider', () => {
+    it('paginates until the first empty page', async () => {
+        const pages = await replayPages('hematuria treatment');
+
+        assert.deepEqual(pages.map(page => page.page), [1, 2]);
+        assert.deepEqual(pages.map(page => page.items.length), [10, 10]);
+        assert.equal(pages[1].items[0].position, 11);
+        assert.ok(pages.every(page => !page.error));
+    });
+
+    it('finds a tracked domain on a later page at its absolute position', async () => {
+        const pages = await replayPages('hematuria treatment');
+
+        assert.deepEqual(findRank(pages, 'lkyurology.com'), {
+            position: 14,
+            link: 'https://www.lkyurology.com/page-14',
+            matchType: 'exact'
+        });
+        assert.equal(findRank(pages, 'www.lkyurology.com', 'exact').position, 14);
+    });
+
+    it('reports a domain missing from every page as not found', async () => {
+        const pages = await replayPages('kidney stones');
+
+        assert.deepEqual(pages.map(page => page.page), [1]);
+        assert.equal(findRank(pages, 'lkyurology.com'), null);
+        assert.equal(findRank(pages, 'lkyurology.com', 'include-subdomains'), null);
+        // A bare name matches any host containing it with the loose partial strategy
+        assert.equal(findRank(pages, 'lkyurology').matchType, 'partial');
+    });
+
+    it('retries an empty first page and then reports a page without results', async () => {
+        const pages = await replayPages('bladder pain');
+
+        assert.equal(pages.length, 1);
+        assert.deepEqual(pages[0].items, []);
+        assert.equal(pages[0].hasMorePages, false);
+        assert.equal(pages[0].error, undefined);
+    });
+
+    it('yields an error page once every retry failed', async () => {
+        const pages = await replayPages('prostate check');
+
+        assert.equal(pages.length, 1);
+        assert.match(pages[0].error, /after 3 attempts\. Last error: HTTP 500:/);
+        assert.equal(pages[0].items[0].error, pages[0].error);
+        assert.equal(findRank(pages, 'lkyurology.com'), null);
+    });
+
+    it('fails on a request without a fixture', async () => {
+        const pages = await replayPages('no such fixture');
+
+        assert.match(pages[0].error, /No fixture for/);
+    });
+});